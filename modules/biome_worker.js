@@ -0,0 +1,14 @@
+import { compute_biomes } from "./biomes.js"
+
+// BIOME WORKER =============================================================================
+/**
+ * Classifies biomes of the height map in background, so changing the water level
+ * or biome parameters does not block the rendering, the biome map is transferred
+ * back to the main thread without copying
+ */
+self.onmessage = function( event ) {
+    const job = event.data;
+    const biome_map = compute_biomes( job.height_map, job.water_level, job.wet, job.params, job.seed );
+
+    self.postMessage({ id: job.id, biome_map: biome_map }, [ biome_map.buffer ] );
+}
@@ -0,0 +1,169 @@
+import * as THREE from "./three.module.js"
+import { create_random } from "./generation.js"
+import { create_permutation, simplex_noise, fbm } from "./noise.js"
+
+// BIOMES ===================================================================================
+// biomes in order of their index in the biome map, with legend name and color
+export const biomes = [
+    { key: 'desert', name: 'Desert', color: 0xd8c08a },
+    { key: 'grassland', name: 'Grassland', color: 0x92b65a },
+    { key: 'forest', name: 'Forest', color: 0x3a6b35 },
+    { key: 'tundra', name: 'Tundra', color: 0x8d947c },
+    { key: 'glacier', name: 'Glacier', color: 0xeef3f7 }
+];
+
+// index of every biome by its key
+const biome_indices = {};
+biomes.forEach( function( biome, k ) { biome_indices[biome.key] = k; } );
+
+/**
+ * Adjustable parameters of biome classification ( key, gui name, slider range and default
+ * value ), temperature at the water level falls by the lapse rate ( degrees per terrain
+ * unit of altitude ), moisture halves every moisture range from the water and noise
+ * is the weight of the noise in the moisture
+ */
+export const biome_params = [
+    { key: 'sea_temperature', name: 'Sea Temperature', min: -20, max: 40, step: 0.5, value: 20 },
+    { key: 'lapse_rate', name: 'Lapse Rate', min: 0, max: 3, step: 0.05, value: 1.2 },
+    { key: 'moisture_range', name: 'Moisture Range', min: 1, max: 50, step: 0.5, value: 5 },
+    { key: 'moisture_noise', name: 'Moisture Noise', min: 0, max: 1, step: 0.05, value: 0.4 }
+];
+
+// classification thresholds, temperatures in degrees and moisture from 0 to 1
+const glacier_temperature = -5;
+const tundra_temperature = 2;
+const desert_moisture = 0.25;
+const forest_moisture = 0.5;
+
+/**
+ * Computes distance of every grid point to the closest water point, two passes of chamfer
+ * distance transform ( orthogonal and diagonal steps ) approximate euclidean distance
+ * @param { Uint8Array } water: 1 for water grid points
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @returns array of distances in terrain units ( infinite without water )
+ */
+function water_distance( water, size, cell_size ) {
+    const distance = new Float32Array( water.length );
+    for ( var index = 0; index < water.length; index++ )
+        distance[index] = water[index] ? 0 : Infinity;
+
+    const diagonal = Math.SQRT2*cell_size;
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ ) {
+            const index = i*size + j;
+            if ( i > 0 ) {
+                distance[index] = Math.min( distance[index], distance[index - size] + cell_size );
+                if ( j > 0 ) distance[index] = Math.min( distance[index], distance[index - size - 1] + diagonal );
+                if ( j < size - 1 ) distance[index] = Math.min( distance[index], distance[index - size + 1] + diagonal );
+            }
+            if ( j > 0 )
+                distance[index] = Math.min( distance[index], distance[index - 1] + cell_size );
+        }
+    }
+
+    for ( var i = size - 1; i >= 0; i-- ) {
+        for ( var j = size - 1; j >= 0; j-- ) {
+            const index = i*size + j;
+            if ( i < size - 1 ) {
+                distance[index] = Math.min( distance[index], distance[index + size] + cell_size );
+                if ( j > 0 ) distance[index] = Math.min( distance[index], distance[index + size - 1] + diagonal );
+                if ( j < size - 1 ) distance[index] = Math.min( distance[index], distance[index + size + 1] + diagonal );
+            }
+            if ( j < size - 1 )
+                distance[index] = Math.min( distance[index], distance[index + 1] + cell_size );
+        }
+    }
+
+    return distance;
+}
+
+/**
+ * Computes distance of every grid point to water, water are the points below the water
+ * level and wet points such as rivers and lakes
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } water_level: height of the water plane
+ * @param { Uint8Array } wet: 1 for grid points covered by rivers or lakes or null
+ * @returns array of distances in terrain units ( infinite without water )
+ */
+export function distance_to_water( height_map, water_level, wet ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const water = new Uint8Array( height_map.length );
+    for ( var index = 0; index < height_map.length; index++ )
+        water[index] = ( height_map[index] <= water_level || ( wet !== null && wet[index] ) ) ? 1 : 0;
+
+    return water_distance( water, size, 100/( size - 1 ) );
+}
+
+/**
+ * Classifies biome of every grid point by its temperature and moisture, temperature
+ * falls with altitude above the water level, moisture falls with distance to water
+ * ( points below the water level and wet points such as rivers and lakes ) and is
+ * mixed with noise, cold points are glaciers and tundra, warm ones desert, grassland
+ * or forest from dry to wet
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } water_level: height of the water plane
+ * @param { Uint8Array } wet: 1 for grid points covered by rivers or lakes or null
+ * @param { Object } params: values of biome_params
+ * @param { number } seed: seed of the moisture noise
+ * @returns array of biome indices of the grid points
+ */
+export function compute_biomes( height_map, water_level, wet, params, seed ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const perm = create_permutation( create_random( ( seed ^ 0x85ebca6b ) >>> 0 ) );
+    const distance = distance_to_water( height_map, water_level, wet );
+
+    const biome_map = new Uint8Array( height_map.length );
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ ) {
+            const index = i*size + j;
+            const temperature = params.sea_temperature -
+                                params.lapse_rate*Math.max( height_map[index] - water_level, 0 );
+
+            // noise has four features across the terrain
+            const noise = 0.5 + 0.5*fbm( simplex_noise, perm, j/( size - 1 )*4, i/( size - 1 )*4, 4, 2, 0.5 );
+            const moisture = ( 1 - params.moisture_noise )*Math.pow( 0.5, distance[index]/params.moisture_range ) +
+                             params.moisture_noise*noise;
+
+            var biome;
+            if ( temperature < glacier_temperature ) biome = 'glacier';
+            else if ( temperature < tundra_temperature ) biome = 'tundra';
+            else if ( moisture < desert_moisture ) biome = 'desert';
+            else if ( moisture < forest_moisture ) biome = 'grassland';
+            else biome = 'forest';
+            biome_map[index] = biome_indices[biome];
+        }
+    }
+
+    return biome_map;
+}
+
+/**
+ * Creates texture with biome colors mapped on the terrain the same way as other
+ * textures, first row of the biome map is the top of the texture
+ * @param { Uint8Array } biome_map: array of biome indices
+ * @returns texture of biome colors
+ */
+export function create_biome_texture( biome_map ) {
+    const size = Math.round( Math.sqrt( biome_map.length ) );
+    const colors = biomes.map( function( biome ) { return new THREE.Color( biome.color ); } );
+    const data = new Uint8Array( biome_map.length*4 );
+
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ ) {
+            const color = colors[biome_map[i*size + j]];
+            const pixel = ( ( size - 1 - i )*size + j )*4;
+            data[pixel] = Math.round( color.r*255 );
+            data[pixel + 1] = Math.round( color.g*255 );
+            data[pixel + 2] = Math.round( color.b*255 );
+            data[pixel + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture( data, size, size, THREE.RGBAFormat );
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    return texture;
+}
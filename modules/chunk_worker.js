@@ -0,0 +1,16 @@
+import { generate_chunk } from "./generators.js"
+
+// CHUNK WORKER =============================================================================
+/**
+ * Generates chunks of infinite terrain in background one by one, heights and normals
+ * are transferred back to the main thread without copying
+ */
+self.onmessage = function( event ) {
+    const job = event.data;
+    const chunk = generate_chunk( job.algorithm, job.two_exponent, job.seed, job.params, job.cx, job.cy );
+
+    const transfer = ( chunk.normals === null ) ? [ chunk.height_map.buffer ]
+                                                : [ chunk.height_map.buffer, chunk.normals.buffer ];
+    self.postMessage({ id: job.id, key: job.key, height_map: chunk.height_map, normals: chunk.normals },
+                     transfer );
+}
@@ -0,0 +1,290 @@
+import * as THREE from "./three.module.js"
+
+// CHUNK MANAGER ============================================================================
+// side of one chunk in terrain units, chunk [0, 0] covers the same area as the terrain plane
+export const chunk_side = 100;
+
+/** "Class" streaming chunks of infinite terrain around the camera target */
+export class ChunkManager {
+    /**
+     * Object constructor
+     * @param { THREE.Group } group: group the chunk meshes are added to, it is a child of the
+     *                               terrain root next to the terrain mesh
+     * @param { THREE.Material } material: material shared by all chunks
+     * @param { function } on_build: callback receiving every new chunk geometry ( e.g. for coloring )
+     */
+    constructor( group, material, on_build ) {
+        this.group = group;
+        this.material = material;
+        this.on_build = on_build;
+
+        // number of chunks loaded in every direction from the chunk under the target
+        this.view_distance = 2;
+        // exponent of two, chunk has 2^n segments on every side
+        this.two_exponent = 6;
+
+        // loaded chunks by their "cx,cy" key, mesh is null until the worker generates it
+        this.chunks = new Map();
+        // chunk under the target, null until the first update
+        this.center = null;
+        // generator settings { algorithm, seed, params } used by all chunks
+        this.settings = null;
+
+        // chunks are generated one by one in worker, results of chunks requested
+        // before the last reset are recognized by version and thrown away
+        this.worker = new Worker( new URL( './chunk_worker.js', import.meta.url ), { type: 'module' } );
+        this.version = 0;
+        this.pending = null;
+
+        const self = this;
+        this.worker.onmessage = function( event ) {
+            const message = event.data;
+            self.pending = null;
+
+            const chunk = self.chunks.get( message.key );
+            if ( message.id === self.version && chunk !== undefined )
+                self.build( chunk, message.height_map, message.normals );
+
+            self.request_next();
+        };
+
+        this.worker.onerror = function( error ) {
+            self.pending = null;
+            console.log( error );
+        };
+    }
+
+    /**
+     * Sets generator settings of the chunks, already loaded chunks are thrown away
+     * and generated again around the last target
+     * @param { Object } settings: generator settings { algorithm, seed, params }
+     */
+    configure( settings ) {
+        this.settings = settings;
+        this.reset();
+    }
+
+    /** Removes all chunks, they are loaded again by the next update */
+    reset() {
+        this.chunks.forEach( function( chunk ) { this.dispose( chunk ); }, this );
+        this.chunks.clear();
+        this.center = null;
+        this.version++;
+    }
+
+    /**
+     * Loads chunks around the target and disposes chunks out of the view distance,
+     * chunks one step further are kept so moving along the chunk edge does not reload them
+     * @param { THREE.Vector3 } target: target position in local coordinates of the group
+     */
+    update( target ) {
+        const cx = Math.round( target.x/chunk_side );
+        const cy = Math.round( target.y/chunk_side );
+        if ( this.center !== null && this.center.x == cx && this.center.y == cy )
+            return;
+        this.center = { x: cx, y: cy };
+
+        this.chunks.forEach( function( chunk, key ) {
+            if ( Math.max( Math.abs( chunk.cx - cx ), Math.abs( chunk.cy - cy ) ) > this.view_distance + 1 ) {
+                this.dispose( chunk );
+                this.chunks.delete( key );
+            }
+        }, this );
+
+        for ( var y = cy - this.view_distance; y <= cy + this.view_distance; y++ ) {
+            for ( var x = cx - this.view_distance; x <= cx + this.view_distance; x++ ) {
+                const key = x + ',' + y;
+                if ( !this.chunks.has( key ) )
+                    this.chunks.set( key, { key: key, cx: x, cy: y, mesh: null } );
+            }
+        }
+
+        this.request_next();
+    }
+
+    /** Sends the missing chunk closest to the target to the worker unless it is busy */
+    request_next() {
+        if ( this.pending !== null || this.settings === null || this.center === null )
+            return;
+
+        var next = null, next_distance = Infinity;
+        this.chunks.forEach( function( chunk ) {
+            const distance = Math.hypot( chunk.cx - this.center.x, chunk.cy - this.center.y );
+            if ( chunk.mesh === null && distance < next_distance ) {
+                next = chunk;
+                next_distance = distance;
+            }
+        }, this );
+
+        if ( next === null )
+            return;
+
+        this.pending = next.key;
+        this.worker.postMessage({
+            id: this.version,
+            key: next.key,
+            cx: next.cx,
+            cy: next.cy,
+            algorithm: this.settings.algorithm,
+            two_exponent: this.two_exponent,
+            seed: this.settings.seed,
+            params: this.settings.params
+        });
+    }
+
+    /**
+     * Builds chunk mesh from generated heights, normals computed across the chunk edges
+     * are used when available, otherwise normals of the edge vertices are computed again
+     * from the loaded neighbors, so there are no lighting seams between chunks
+     * @param { Object } chunk: loaded chunk { cx, cy, mesh }
+     * @param { Float32Array } height_map: heights of the chunk grid
+     * @param { Float32Array } normals: vertex normals or null
+     */
+    build( chunk, height_map, normals ) {
+        const size = Math.round( Math.sqrt( height_map.length ) ) - 1;
+        const geometry = new THREE.PlaneGeometry( chunk_side, chunk_side, size, size );
+
+        const vertices = geometry.getAttribute( 'position' );
+        for ( var i = 0; i < vertices.count; i++ )
+            vertices.setZ( i, height_map[i] );
+
+        if ( normals !== null )
+            geometry.setAttribute( 'normal', new THREE.BufferAttribute( normals, 3 ) );
+        else
+            geometry.computeVertexNormals();
+
+        this.on_build( geometry );
+
+        chunk.mesh = new THREE.Mesh( geometry, this.material );
+        chunk.mesh.castShadow = true;
+        chunk.mesh.receiveShadow = true;
+        chunk.mesh.position.set( chunk.cx*chunk_side, chunk.cy*chunk_side, 0 );
+        chunk.stitched = ( normals === null );
+        this.group.add( chunk.mesh );
+
+        // edges of the neighbors shared with the new chunk change as well
+        if ( chunk.stitched ) {
+            for ( var y = chunk.cy - 1; y <= chunk.cy + 1; y++ ) {
+                for ( var x = chunk.cx - 1; x <= chunk.cx + 1; x++ ) {
+                    const neighbor = this.chunks.get( x + ',' + y );
+                    if ( neighbor !== undefined && neighbor.mesh !== null && neighbor.stitched )
+                        this.stitch( neighbor );
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets height of the chunk grid point, indices one step out of the chunk are taken
+     * from its neighbor
+     * @param { Object } chunk: loaded chunk { cx, cy, mesh }
+     * @param { number } i: row of the point ( growing downwards )
+     * @param { number } j: column of the point
+     * @returns height or null when the neighbor is not loaded yet
+     */
+    height_at( chunk, i, j ) {
+        const size = chunk.mesh.geometry.parameters.widthSegments + 1;
+        const res = size - 1;
+        var cx = chunk.cx, cy = chunk.cy;
+        if ( i < 0 ) { cy++; i += res; }
+        if ( i > res ) { cy--; i -= res; }
+        if ( j < 0 ) { cx--; j += res; }
+        if ( j > res ) { cx++; j -= res; }
+
+        const owner = ( cx == chunk.cx && cy == chunk.cy ) ? chunk : this.chunks.get( cx + ',' + cy );
+        if ( owner === undefined || owner.mesh === null || owner.mesh.geometry.parameters.widthSegments != res )
+            return null;
+
+        return owner.mesh.geometry.getAttribute( 'position' ).getZ( i*size + j );
+    }
+
+    /**
+     * Computes normals of the chunk edge vertices the same way as computeVertexNormals
+     * ( sum of normals of the adjacent triangles ), but with the triangles of the loaded
+     * neighbors, so both chunks get the same normals on their shared edge
+     * @param { Object } chunk: loaded chunk { cx, cy, mesh }
+     */
+    stitch( chunk ) {
+        const geometry = chunk.mesh.geometry;
+        const size = geometry.parameters.widthSegments + 1;
+        const res = size - 1;
+        const step = chunk_side/res;
+        const normals = geometry.getAttribute( 'normal' );
+        const self = this;
+        const normal = new THREE.Vector3();
+        const ab = new THREE.Vector3(), ac = new THREE.Vector3();
+
+        /**
+         * Adds normal of the triangle given by grid points to the sum, triangles with a point
+         * in a chunk which is not loaded yet are skipped
+         * @param { Array } points: three grid points [i, j]
+         */
+        const add_triangle = function( points ) {
+            const z = points.map( function( point ) { return self.height_at( chunk, point[0], point[1] ); } );
+            if ( z[0] === null || z[1] === null || z[2] === null )
+                return;
+
+            // rows grow downwards, so y of the point is -i
+            ab.set( ( points[1][1] - points[0][1] )*step, ( points[0][0] - points[1][0] )*step, z[1] - z[0] );
+            ac.set( ( points[2][1] - points[0][1] )*step, ( points[0][0] - points[2][0] )*step, z[2] - z[0] );
+            normal.add( ab.cross( ac ) );
+        };
+
+        for ( var i = 0; i < size; i++ ) {
+            for ( var j = 0; j < size; j++ ) {
+                if ( i > 0 && i < res && j > 0 && j < res )
+                    continue;
+
+                // cells around the vertex are split into two triangles the same way as in
+                // the plane geometry ( a = [i, j], b = [i + 1, j], c = [i + 1, j + 1], d = [i, j + 1] )
+                normal.set( 0, 0, 0 );
+                add_triangle( [ [ i, j ], [ i + 1, j ], [ i, j + 1 ] ] );
+                add_triangle( [ [ i - 1, j ], [ i, j ], [ i - 1, j + 1 ] ] );
+                add_triangle( [ [ i, j ], [ i, j + 1 ], [ i - 1, j + 1 ] ] );
+                add_triangle( [ [ i, j - 1 ], [ i, j ], [ i - 1, j ] ] );
+                add_triangle( [ [ i, j - 1 ], [ i + 1, j - 1 ], [ i, j ] ] );
+                add_triangle( [ [ i + 1, j - 1 ], [ i + 1, j ], [ i, j ] ] );
+                normal.normalize();
+                normals.setXYZ( i*size + j, normal.x, normal.y, normal.z );
+            }
+        }
+
+        normals.needsUpdate = true;
+    }
+
+    /**
+     * Removes chunk mesh from the group and frees its geometry
+     * @param { Object } chunk: loaded chunk { cx, cy, mesh }
+     */
+    dispose( chunk ) {
+        if ( chunk.mesh === null )
+            return;
+
+        this.group.remove( chunk.mesh );
+        chunk.mesh.geometry.dispose();
+        chunk.mesh = null;
+    }
+
+    /**
+     * Replaces material of all chunks
+     * @param { THREE.Material } material: material shared by all chunks
+     */
+    set_material( material ) {
+        this.material = material;
+        this.chunks.forEach( function( chunk ) {
+            if ( chunk.mesh !== null )
+                chunk.mesh.material = material;
+        } );
+    }
+
+    /**
+     * Calls function for geometry of every generated chunk
+     * @param { function } callback: function receiving chunk geometry
+     */
+    for_each_geometry( callback ) {
+        this.chunks.forEach( function( chunk ) {
+            if ( chunk.mesh !== null )
+                callback( chunk.mesh.geometry );
+        } );
+    }
+}
@@ -0,0 +1,82 @@
+import * as THREE from "./three.module.js"
+
+// ELEVATION COLOR RAMP =====================================================================
+/**
+ * Creates default color ramp ( deep water, sand, grass, mountains, snow )
+ * @returns array of stops { height, color }
+ */
+export function default_color_ramp() {
+    return [
+        { height: -20, color: 0x0b2a6f },
+        { height: -2, color: 0xe3d39b },
+        { height: 5, color: 0x3f8f3a },
+        { height: 18, color: 0x7a5534 },
+        { height: 28, color: 0xffffff }
+    ];
+}
+
+/**
+ * Writes color ramp to compact text ( e.g. "-20:0b2a6f,5:3f8f3a" )
+ * @param { Array } stops: array of stops { height, color }
+ * @returns text representation of the ramp
+ */
+export function ramp_to_string( stops ) {
+    return stops.map( function( stop ) {
+        return stop.height + ':' + new THREE.Color( stop.color ).getHexString();
+    } ).join( ',' );
+}
+
+/**
+ * Reads color ramp from text written by ramp_to_string
+ * @param { string } text: text representation of the ramp
+ * @returns array of stops { height, color }, null when the text is not valid ramp
+ */
+export function ramp_from_string( text ) {
+    const stops = text.split( ',' ).map( function( part ) {
+        const values = part.split( ':' );
+        const height = parseFloat( values[0] );
+        if ( values.length != 2 || !Number.isFinite( height ) || !/^[0-9a-f]{6}$/i.test( values[1] ) )
+            return null;
+        return { height: height, color: parseInt( values[1], 16 ) };
+    } );
+
+    return ( stops.length >= 2 && stops.indexOf( null ) < 0 ) ? stops : null;
+}
+
+/**
+ * Colors vertices of the geometry by their height ( z coordinate ) using the color ramp,
+ * heights between stops are linearly interpolated and heights outside of the ramp get
+ * color of the closest stop, colors are stored in 'color' attribute ( COLOR_0 in glTF )
+ * @param { THREE.BufferGeometry } geometry: terrain geometry before rotation
+ * @param { Array } stops: array of stops { height, color } in any order
+ */
+export function apply_color_ramp( geometry, stops ) {
+    const sorted = stops.slice().sort( function( a, b ) { return a.height - b.height; } );
+    const colors = sorted.map( function( stop ) { return new THREE.Color( stop.color ); } );
+
+    const positions = geometry.getAttribute( 'position' );
+    const color_array = new Float32Array( positions.count*3 );
+    const color = new THREE.Color();
+
+    for ( var i = 0; i < positions.count; i++ ) {
+        const height = positions.getZ( i );
+
+        // find the first stop above the height
+        var k = 0;
+        while ( k < sorted.length && sorted[k].height < height )
+            k++;
+
+        if ( k == 0 ) {
+            color.copy( colors[0] );
+        } else if ( k == sorted.length ) {
+            color.copy( colors[sorted.length - 1] );
+        } else {
+            const t = ( height - sorted[k - 1].height )/( sorted[k].height - sorted[k - 1].height );
+            color.copy( colors[k - 1] ).lerp( colors[k], t );
+        }
+
+        color.toArray( color_array, i*3 );
+    }
+
+    geometry.setAttribute( 'color', new THREE.BufferAttribute( color_array, 3 ) );
+}
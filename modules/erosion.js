@@ -0,0 +1,277 @@
+import { create_random } from "./generation.js"
+
+// HYDRAULIC EROSION ========================================================================
+/**
+ * Adjustable parameters of hydraulic erosion ( key, gui name, slider range and default value )
+ */
+export const hydraulic_params = [
+    { key: 'droplets', name: 'Droplets', min: 0, max: 300000, step: 1000, value: 50000 },
+    { key: 'inertia', name: 'Inertia', min: 0, max: 1, step: 0.01, value: 0.05 },
+    { key: 'erosion_rate', name: 'Erosion Rate', min: 0, max: 1, step: 0.01, value: 0.3 },
+    { key: 'deposition_rate', name: 'Deposition Rate', min: 0, max: 1, step: 0.01, value: 0.3 },
+    { key: 'evaporation', name: 'Evaporation', min: 0, max: 0.5, step: 0.005, value: 0.01 }
+];
+
+// fixed constants of the droplet simulation
+const sediment_capacity = 4;    // multiplier of the amount of sediment droplet can carry
+const min_capacity = 0.01;      // capacity on flat terrain so droplets erode there as well
+const gravity = 4;              // acceleration of droplets going downhill
+const max_lifetime = 30;        // maximal number of droplet steps
+const brush_radius = 3;         // radius of the area eroded by droplet ( in cells )
+
+/**
+ * Computes height and gradient of the height map at position between grid points
+ * using bilinear interpolation
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } x: column position
+ * @param { number } y: row position
+ * @returns object with height and gradient ( x, y )
+ */
+function height_and_gradient( height_map, size, x, y ) {
+    const col = Math.floor( x );
+    const row = Math.floor( y );
+    const u = x - col;
+    const v = y - row;
+
+    const index = row*size + col;
+    const nw = height_map[index];
+    const ne = height_map[index + 1];
+    const sw = height_map[index + size];
+    const se = height_map[index + size + 1];
+
+    return {
+        height: nw*( 1 - u )*( 1 - v ) + ne*u*( 1 - v ) + sw*( 1 - u )*v + se*u*v,
+        x: ( ne - nw )*( 1 - v ) + ( se - sw )*v,
+        y: ( sw - nw )*( 1 - u ) + ( se - ne )*u
+    };
+}
+
+/**
+ * Creates erosion brush, list of cell offsets around droplet with weights
+ * decreasing with distance
+ * @param { number } radius: brush radius in cells
+ * @returns array of { x, y, weight }
+ */
+function create_brush( radius ) {
+    const brush = [];
+    for ( var y = -radius; y <= radius; y++ ) {
+        for ( var x = -radius; x <= radius; x++ ) {
+            const distance = Math.hypot( x, y );
+            if ( distance < radius )
+                brush.push({ x: x, y: y, weight: 1 - distance/radius });
+        }
+    }
+
+    return brush;
+}
+
+/**
+ * Particle based hydraulic erosion, droplets flow downhill, erode terrain when they can carry
+ * more sediment and deposit it when they slow down or flow uphill ( based on Hans Theobald
+ * Beyer's thesis ), the same seed always gives the same result
+ * @param { Float32Array } height_map: array of heights, it is eroded in place
+ * @param { number } seed: seed of droplet positions
+ * @param { Object } params: values of hydraulic_params
+ * @param { function } on_progress: optional callback receiving done fraction of droplets
+ * @returns eroded height map
+ */
+export function hydraulic_erosion( height_map, seed, params, on_progress ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    if ( size < 3 || params.droplets <= 0 )
+        return height_map;
+
+    // simulation constants expect heights from interval ( 0, 1 ), so the map is normalized
+    var min = Infinity, max = -Infinity;
+    for ( var i = 0; i < height_map.length; i++ ) {
+        min = Math.min( min, height_map[i] );
+        max = Math.max( max, height_map[i] );
+    }
+    const range = max - min;
+    if ( range <= 0 )
+        return height_map;
+
+    for ( var i = 0; i < height_map.length; i++ )
+        height_map[i] = ( height_map[i] - min )/range;
+
+    // droplets get their own random sequence so they do not depend on the generator
+    const random = create_random( ( seed ^ 0x9e3779b9 ) >>> 0 );
+    const brush = create_brush( brush_radius );
+    const report_step = Math.max( 1, Math.floor( params.droplets/20 ) );
+
+    for ( var droplet = 0; droplet < params.droplets; droplet++ ) {
+        var x = random()*( size - 1 );
+        var y = random()*( size - 1 );
+        var dir_x = 0, dir_y = 0;
+        var speed = 1, water = 1, sediment = 0;
+
+        for ( var lifetime = 0; lifetime < max_lifetime; lifetime++ ) {
+            const col = Math.floor( x );
+            const row = Math.floor( y );
+            const u = x - col;
+            const v = y - row;
+            const current = height_and_gradient( height_map, size, x, y );
+
+            // new direction is mix of previous direction and downhill direction
+            dir_x = dir_x*params.inertia - current.x*( 1 - params.inertia );
+            dir_y = dir_y*params.inertia - current.y*( 1 - params.inertia );
+            const length = Math.hypot( dir_x, dir_y );
+            if ( length == 0 )
+                break;
+            dir_x /= length;
+            dir_y /= length;
+            x += dir_x;
+            y += dir_y;
+
+            // droplet left the map
+            if ( x < 0 || x >= size - 1 || y < 0 || y >= size - 1 )
+                break;
+
+            const delta = height_and_gradient( height_map, size, x, y ).height - current.height;
+            const capacity = Math.max( -delta*speed*water*sediment_capacity, min_capacity );
+
+            if ( sediment > capacity || delta > 0 ) {
+                // uphill droplet fills the pit, otherwise it drops part of the surplus sediment
+                const amount = ( delta > 0 ) ? Math.min( delta, sediment )
+                                             : ( sediment - capacity )*params.deposition_rate;
+                sediment -= amount;
+
+                // deposit to the four grid points around the old position
+                const index = row*size + col;
+                height_map[index] += amount*( 1 - u )*( 1 - v );
+                height_map[index + 1] += amount*u*( 1 - v );
+                height_map[index + size] += amount*( 1 - u )*v;
+                height_map[index + size + 1] += amount*u*v;
+            } else {
+                // erosion never digs deeper than the height difference to avoid holes
+                const amount = Math.min( ( capacity - sediment )*params.erosion_rate, -delta );
+
+                // brush is normalized again when part of it lies outside the map
+                var weight_sum = 0;
+                for ( var b = 0; b < brush.length; b++ ) {
+                    const bx = col + brush[b].x;
+                    const by = row + brush[b].y;
+                    if ( bx >= 0 && bx < size && by >= 0 && by < size )
+                        weight_sum += brush[b].weight;
+                }
+
+                for ( var b = 0; b < brush.length; b++ ) {
+                    const bx = col + brush[b].x;
+                    const by = row + brush[b].y;
+                    if ( bx >= 0 && bx < size && by >= 0 && by < size ) {
+                        const index = by*size + bx;
+                        const eroded = Math.min( height_map[index], amount*brush[b].weight/weight_sum );
+                        height_map[index] -= eroded;
+                        sediment += eroded;
+                    }
+                }
+            }
+
+            speed = Math.sqrt( Math.max( speed*speed - delta*gravity, 0 ) );
+            water *= ( 1 - params.evaporation );
+        }
+
+        if ( on_progress && ( droplet + 1 )%report_step == 0 )
+            on_progress( ( droplet + 1 )/params.droplets );
+    }
+
+    for ( var i = 0; i < height_map.length; i++ )
+        height_map[i] = height_map[i]*range + min;
+
+    return height_map;
+}
+
+// THERMAL EROSION ==========================================================================
+/**
+ * Adjustable parameters of thermal erosion ( key, gui name, slider range and default value ),
+ * zero iterations turn the pass off
+ */
+export const thermal_params = [
+    { key: 'thermal_iterations', name: 'Thermal Iterations', min: 0, max: 200, step: 1, value: 0 },
+    { key: 'talus_angle', name: 'Talus Angle', min: 1, max: 89, step: 1, value: 40 }
+];
+
+// fraction of the material above talus angle moved in one iteration
+const thermal_rate = 0.5;
+
+/**
+ * Finds index of neighbor above, below, left or right of the cell
+ * @param { number } i: row
+ * @param { number } j: column
+ * @param { number } n: neighbor number ( 0 = above, 1 = below, 2 = left, 3 = right )
+ * @param { number } size: size of matrix(height map side)
+ * @returns index of the neighbor, -1 when it is outside of the map
+ */
+function neighbor_index( i, j, n, size ) {
+    switch ( n ) {
+        case 0: return ( i > 0 ) ? ( i - 1 )*size + j : -1;
+        case 1: return ( i < size - 1 ) ? ( i + 1 )*size + j : -1;
+        case 2: return ( j > 0 ) ? i*size + j - 1 : -1;
+        default: return ( j < size - 1 ) ? i*size + j + 1 : -1;
+    }
+}
+
+/**
+ * Thermal erosion, material of cells steeper than talus angle falls down to lower
+ * neighbors until the slope settles ( F. K. Musgrave, The Synthesis and Rendering
+ * of Eroded Fractal Terrains ), all cells of one iteration move material at once
+ * so the result does not depend on the order of cells
+ * @param { Float32Array } height_map: array of heights, it is eroded in place
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of thermal_params
+ * @param { function } on_progress: optional callback receiving done fraction of iterations
+ * @returns eroded height map
+ */
+export function thermal_erosion( height_map, cell_size, params, on_progress ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const talus = Math.tan( params.talus_angle*Math.PI/180 )*cell_size;
+    const delta = new Float32Array( height_map.length );
+
+    for ( var iteration = 0; iteration < params.thermal_iterations; iteration++ ) {
+        delta.fill( 0 );
+
+        for ( var i = 0; i < size; i++ ) {
+            for ( var j = 0; j < size; j++ ) {
+                const index = i*size + j;
+                var max_difference = 0;
+                var total_difference = 0;
+
+                for ( var n = 0; n < 4; n++ ) {
+                    const neighbor = neighbor_index( i, j, n, size );
+                    if ( neighbor < 0 )
+                        continue;
+                    const difference = height_map[index] - height_map[neighbor];
+                    if ( difference > talus ) {
+                        total_difference += difference;
+                        max_difference = Math.max( max_difference, difference );
+                    }
+                }
+
+                if ( total_difference == 0 )
+                    continue;
+
+                // material is distributed proportionally to height differences
+                const amount = thermal_rate*( max_difference - talus );
+                for ( var n = 0; n < 4; n++ ) {
+                    const neighbor = neighbor_index( i, j, n, size );
+                    if ( neighbor < 0 )
+                        continue;
+                    const difference = height_map[index] - height_map[neighbor];
+                    if ( difference > talus ) {
+                        const moved = amount*difference/total_difference;
+                        delta[index] -= moved;
+                        delta[neighbor] += moved;
+                    }
+                }
+            }
+        }
+
+        for ( var i = 0; i < height_map.length; i++ )
+            height_map[i] += delta[i];
+
+        if ( on_progress )
+            on_progress( ( iteration + 1 )/params.thermal_iterations );
+    }
+
+    return height_map;
+}
@@ -0,0 +1,135 @@
+import * as THREE from "./three.module.js"
+
+// FOG SETTINGS =============================================================================
+// types of the distance fog offered in gui
+export const fog_types = { Off: 'off', Linear: 'linear', Exponential: 'exponential' };
+
+/**
+ * Adjustable parameters of the fog ( key, gui name, slider range and default value ),
+ * near and far are distances of linear fog, density is used by exponential fog,
+ * height fog is thickest at the fog height and thins out above it by the falloff
+ */
+export const fog_params = [
+    { key: 'fog_near', name: 'Near', min: 0, max: 500, step: 1, value: 50 },
+    { key: 'fog_far', name: 'Far', min: 0, max: 1000, step: 1, value: 300 },
+    { key: 'fog_density', name: 'Density', min: 0, max: 0.05, step: 0.0005, value: 0.004 },
+    { key: 'height_fog_density', name: 'Height Fog Density', min: 0, max: 0.2, step: 0.005, value: 0 },
+    { key: 'fog_height', name: 'Fog Height', min: -50, max: 50, step: 0.5, value: 0 },
+    { key: 'height_falloff', name: 'Height Falloff', min: 0.01, max: 1, step: 0.01, value: 0.15 }
+];
+
+// uniforms of the height fog shared by all materials extended by add_height_fog
+const height_fog_uniforms = {
+    height_fog_density: { value: 0 },
+    fog_height: { value: 0 },
+    height_falloff: { value: 1 }
+};
+
+/**
+ * Sets fog of the scene, height fog without distance fog uses exponential fog of zero
+ * density, so the fog shader code is still compiled
+ * @param { THREE.Scene } scene: scene the fog is set to
+ * @param { Object } settings: fog type and values of fog_params
+ * @param { THREE.Color } color: color of the fog
+ */
+export function setup_fog( scene, settings, color ) {
+    height_fog_uniforms.height_fog_density.value = settings.height_fog_density;
+    height_fog_uniforms.fog_height.value = settings.fog_height;
+    height_fog_uniforms.height_falloff.value = settings.height_falloff;
+
+    if ( settings.fog == 'off' && settings.height_fog_density == 0 ) {
+        scene.fog = null;
+        return;
+    }
+
+    // materials are compiled again only when the fog type changes
+    if ( settings.fog == 'linear' ) {
+        if ( scene.fog === null || !scene.fog.isFog )
+            scene.fog = new THREE.Fog( color );
+        scene.fog.near = settings.fog_near;
+        scene.fog.far = Math.max( settings.fog_far, settings.fog_near + 1 );
+    } else {
+        if ( scene.fog === null || !scene.fog.isFogExp2 )
+            scene.fog = new THREE.FogExp2( color );
+        scene.fog.density = ( settings.fog == 'exponential' ) ? settings.fog_density : 0;
+    }
+
+    scene.fog.color.copy( color );
+}
+
+// HEIGHT FOG ===============================================================================
+const fog_vertex_pars = `
+#ifdef USE_FOG
+    varying vec3 v_fog_position;
+#endif
+`;
+
+const fog_vertex = `
+#ifdef USE_FOG
+    vec4 fog_position = vec4( transformed, 1.0 );
+    #ifdef USE_INSTANCING
+        fog_position = instanceMatrix*fog_position;
+    #endif
+    v_fog_position = ( modelMatrix*fog_position ).xyz;
+#endif
+`;
+
+const fog_fragment_pars = `
+#ifdef USE_FOG
+    varying vec3 v_fog_position;
+
+    uniform float height_fog_density;
+    uniform float fog_height;
+    uniform float height_falloff;
+#endif
+`;
+
+// density of the height fog falls exponentially with height, so its thickness along the view
+// ray has closed form, the light passes through both fogs one after another
+const fog_fragment = `
+#ifdef USE_FOG
+    #ifdef FOG_EXP2
+        float fogFactor = 1.0 - exp( -fogDensity*fogDensity*vFogDepth*vFogDepth );
+    #else
+        float fogFactor = smoothstep( fogNear, fogFar, vFogDepth );
+    #endif
+
+    vec3 fog_ray = v_fog_position - cameraPosition;
+    float fog_rise = fog_ray.y*height_falloff;
+    float camera_density = exp( -height_falloff*( cameraPosition.y - fog_height ) );
+    float point_density = exp( -height_falloff*( v_fog_position.y - fog_height ) );
+    float fog_thickness = height_fog_density*length( fog_ray )*
+                          ( abs( fog_rise ) > 1e-4 ? ( camera_density - point_density )/fog_rise : camera_density );
+    fogFactor = 1.0 - ( 1.0 - fogFactor )*exp( -fog_thickness );
+
+    gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );
+#endif
+`;
+
+/**
+ * Adds height fog layered in valleys to the fog of the material, shader extension
+ * of the material set before is kept
+ * @param { THREE.Material } material: fogged material ( e.g. Phong or standard )
+ */
+export function add_height_fog( material ) {
+    // shader of other material with the same extensions must not be reused
+    const extension = material.onBeforeCompile;
+    const key = material.customProgramCacheKey() + '_height_fog';
+
+    material.onBeforeCompile = function( shader, renderer ) {
+        extension.call( this, shader, renderer );
+        Object.assign( shader.uniforms, height_fog_uniforms );
+
+        shader.vertexShader = shader.vertexShader
+            .replace( '#include <fog_pars_vertex>', '#include <fog_pars_vertex>\n' + fog_vertex_pars )
+            .replace( '#include <fog_vertex>', '#include <fog_vertex>\n' + fog_vertex );
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace( '#include <fog_pars_fragment>', '#include <fog_pars_fragment>\n' + fog_fragment_pars )
+            .replace( '#include <fog_fragment>', fog_fragment );
+    };
+
+    material.customProgramCacheKey = function() {
+        return key;
+    };
+}
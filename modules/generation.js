@@ -0,0 +1,286 @@
+// GENERATION ALGORITHM =====================================================================
+/**
+ * Creates seeded pseudo random number generator ( mulberry32 ),
+ * the same seed always gives the same sequence of numbers
+ * @param { number } seed: 32-bit unsigned integer
+ * @returns function returning random float from interval [ 0, 1 )
+ */
+export function create_random( seed ) {
+    var state = seed >>> 0;
+
+    return function() {
+        state = ( state + 0x6d2b79f5 ) >>> 0;
+        var t = state;
+        t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+        t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+        return ( ( t ^ ( t >>> 14 ) ) >>> 0 )/4294967296;
+    }
+}
+
+/**
+ * Generates random float from interval ( min, max )
+ * @param { function } random: seeded generator created by create_random
+ * @param { number } min
+ * @param { number } max
+ * @returns random float number between min and max
+ */
+function random_float( random, min, max ){
+    return ( random()*( max - min ) + min )
+}
+
+/**
+ * Using diamond-square algorithm generates heights and stores them to height map,
+ * the same seed and parameters always give bit-identical height map
+ * @param {number} two_exponent: exponent of two
+ * @param {number} terrain_roughness: roughness of the terrain
+ * @param {number} max_init_height: maximum height for corner generation
+ * @param {number} seed: seed of the random number generator
+ * @param {function} on_progress: optional callback receiving done fraction of the height map
+ * @returns array(height map) filled with generated heights
+ */
+export function diamond_square( two_exponent, terrain_roughness, max_init_height, seed, on_progress ) {
+    var random = create_random( seed );
+    var roughness = terrain_roughness;
+    var size = Math.pow( 2, two_exponent ) + 1;
+    var height_map = new Float32Array( size*size );
+
+    // generate corners of the height map
+    height_map[0] = random_float( random, 0, max_init_height );
+    height_map[size-1] = random_float( random, 0, max_init_height );
+    height_map[size*size-size] = random_float( random, 0, max_init_height );
+    height_map[size*size-1] = random_float( random, 0, max_init_height );
+
+    // generating the heights
+    var chunk_size = ( size - 1 );
+    while ( chunk_size > 1 ){
+        height_map = square( chunk_size, roughness, size, height_map, random );  // square step
+        height_map = diamond( chunk_size, roughness, size, height_map, random ); // diamond step
+        chunk_size /= 2;
+        roughness /= 2;     // reduction of rougness for smoother terrain
+
+        // after both steps every point in distance of chunk_size is generated
+        if ( on_progress )
+            on_progress( Math.pow( ( ( size - 1 )/chunk_size + 1 )/size, 2 ) );
+    }
+
+    return height_map;
+}
+
+/**
+ * Square step for diamond-square algorithm
+ * @param { number } chunk_size: chunk size for current algorithm iteration
+ * @param { number } roughness: terrain roughness for current algorithm iteration
+ * @param { number } size: size of matrix(height map side)
+ * @param { Array } height_map: array of heights
+ * @param { function } random: seeded generator created by create_random
+ * @returns array(height map) filled with generated heights
+ */
+function square( chunk_size, roughness, size, height_map, random ) {
+    var half = chunk_size/2;
+
+    // using heigh_map as 2D matrix ( [i*size + j] ==> col = j, row = i )
+    // height is caculated as average of square corners + random from ( -roughness, rougness )
+    for ( var i = 0; i < size - 1; i += chunk_size ) {
+        for ( var j = 0; j < size - 1; j += chunk_size ) {
+            height_map[( i + half )*size + ( j + half )] = (
+                    height_map[i*size + j] +
+                    height_map[i*size + ( j + chunk_size )] +
+                    height_map[( i + chunk_size )*size + j] +
+                    height_map[( i + chunk_size )*size + ( j + chunk_size )]
+                )/4 + random_float( random, -roughness, roughness );
+        }
+    }
+
+    return height_map;
+}
+
+/**
+ * Diamond step for diamond-square algorithm
+ * @param { number } chunk_size: chunk size for current algorithm iteration
+ * @param { number } roughness: terrain roughness for current algorithm iteration
+ * @param { number } size: size of matrix(height map side)
+ * @param { Array } height_map: array of heights
+ * @param { function } random: seeded generator created by create_random
+ * @returns array(height map) filled with generated heights
+ */
+function diamond( chunk_size, roughness, size, height_map, random ) {
+    var half = chunk_size/2;
+
+    // using heigh_map as 2D matrix ( [i*size + j] ==> col = j, row = i )
+    // height is caculated as average of diamond corners + random from ( -roughness, rougness )
+    for ( var i = 0; i < size; i += half ) {
+        for ( var j = ( i + half )%chunk_size; j < size; j += chunk_size ) {
+            height_map[i*size + j] = ( get_diamond_avg( i, j, half, size, height_map ) +
+                                       random_float( random, -roughness, roughness ) );
+        }
+    }
+
+    return height_map;
+}
+
+/**
+ * Calculates average of diamond corners
+ * @param { number } i: row
+ * @param { number } j: column
+ * @param { number } half: chunk_size/2
+ * @param { number } size: size of matrix(height map side)
+ * @param { Array } height_map: array of heights
+ * @returns average of diamond corner values
+ */
+function get_diamond_avg( i, j, half, size, height_map ) {
+    var corners = new Array();
+
+    // checks whether the corner is in height_map, average of element on
+    // the edge of height_map is counted only from 3 diamond corners
+    if ( i - half >= 0 )
+        corners.push( height_map[( i - half )*size + j] );
+
+    if ( i + half < size )
+        corners.push( height_map[( i + half )*size + j] );
+
+    if ( j - half >= 0 )
+        corners.push( height_map[i*size + ( j - half )] );
+
+    if ( j + half < size )
+        corners.push( height_map[i*size + ( j + half )] );
+
+    var sum = 0;
+    for ( var i = 0; i < corners.length; i++ )
+        sum += corners[i];
+
+    return sum/corners.length
+}
+
+// SEAMLESS CHUNKS ==========================================================================
+/**
+ * Hashes integer grid position to random float, the same position and seed always
+ * give the same number no matter which chunk asks for it
+ * @param { number } seed: 32-bit unsigned integer
+ * @param { number } x: integer column in the global grid
+ * @param { number } y: integer row in the global grid
+ * @returns random float from interval [ 0, 1 )
+ */
+function hash_float( seed, x, y ) {
+    var h = Math.imul( x | 0, 0x27d4eb2d ) ^ Math.imul( y | 0, 0x165667b1 ) ^ seed;
+    h = Math.imul( h ^ ( h >>> 15 ), 0x85ebca6b );
+    h = Math.imul( h ^ ( h >>> 13 ), 0xc2b2ae35 );
+    h ^= h >>> 16;
+
+    return ( h >>> 0 )/4294967296;
+}
+
+/**
+ * Diamond-square variant generating one chunk of infinite terrain, random offsets are
+ * hashed from global grid positions and points on chunk edges are averaged only from
+ * their neighbors on the same edge, so neighboring chunks have identical edges
+ * @param {number} two_exponent: exponent of two ( chunk has 2^n segments )
+ * @param {number} terrain_roughness: roughness of the terrain
+ * @param {number} max_init_height: maximum height for corner generation
+ * @param {number} seed: seed of the random number generator
+ * @param {number} cx: column of the chunk
+ * @param {number} cy: row of the chunk ( growing upwards )
+ * @returns array(height map) filled with generated heights of the chunk
+ */
+export function diamond_square_chunk( two_exponent, terrain_roughness, max_init_height, seed, cx, cy ) {
+    var roughness = terrain_roughness;
+    var size = Math.pow( 2, two_exponent ) + 1;
+    var res = size - 1;
+    var height_map = new Float32Array( size*size );
+
+    // random offset for point [i, j] taken from its position in the global grid
+    var random_at = function( i, j ) {
+        return hash_float( seed, cx*res + j, cy*res - i );
+    };
+
+    // corners are shared by four chunks
+    height_map[0] = random_at( 0, 0 )*max_init_height;
+    height_map[size-1] = random_at( 0, res )*max_init_height;
+    height_map[size*size-size] = random_at( res, 0 )*max_init_height;
+    height_map[size*size-1] = random_at( res, res )*max_init_height;
+
+    var chunk_size = res;
+    while ( chunk_size > 1 ) {
+        var half = chunk_size/2;
+
+        // square step, centers of squares are always inside the chunk
+        for ( var i = 0; i < res; i += chunk_size ) {
+            for ( var j = 0; j < res; j += chunk_size ) {
+                height_map[( i + half )*size + ( j + half )] = (
+                        height_map[i*size + j] +
+                        height_map[i*size + ( j + chunk_size )] +
+                        height_map[( i + chunk_size )*size + j] +
+                        height_map[( i + chunk_size )*size + ( j + chunk_size )]
+                    )/4 + ( random_at( i + half, j + half )*2 - 1 )*roughness;
+            }
+        }
+
+        // diamond step, points on the edges use only the two neighbors on the same edge
+        for ( var i = 0; i < size; i += half ) {
+            for ( var j = ( i + half )%chunk_size; j < size; j += chunk_size ) {
+                var average;
+                if ( i == 0 || i == res )
+                    average = ( height_map[i*size + j - half] + height_map[i*size + j + half] )/2;
+                else if ( j == 0 || j == res )
+                    average = ( height_map[( i - half )*size + j] + height_map[( i + half )*size + j] )/2;
+                else
+                    average = get_diamond_avg( i, j, half, size, height_map );
+
+                height_map[i*size + j] = average + ( random_at( i, j )*2 - 1 )*roughness;
+            }
+        }
+
+        chunk_size /= 2;
+        roughness /= 2;
+    }
+
+    return height_map;
+}
+
+// HEIGHT MAP RESAMPLING ====================================================================
+/**
+ * Finds exponent of two for which 2^n + 1 grid is the closest to the given resolution
+ * @param { number } width: width of the height map
+ * @param { number } height: height of the height map
+ * @returns exponent of two from interval ( 0, 10 )
+ */
+export function nearest_exponent( width, height ) {
+    const exponent = Math.round( Math.log2( Math.max( width, height, 2 ) - 1 ) );
+    return Math.min( Math.max( exponent, 0 ), 10 );
+}
+
+/**
+ * Resamples height map to square grid of side 2^two_exponent + 1 using bilinear
+ * interpolation and maps its normalized heights to elevations
+ * @param { Float32Array } heights: normalized heights ( 0, 1 ) stored row by row
+ * @param { number } width: width of the source height map
+ * @param { number } height: height of the source height map
+ * @param { number } two_exponent: exponent of two of the target grid
+ * @param { number } min: elevation of normalized height 0
+ * @param { number } max: elevation of normalized height 1
+ * @returns array(height map) filled with resampled heights
+ */
+export function resample( heights, width, height, two_exponent, min, max ) {
+    const size = Math.pow( 2, two_exponent ) + 1;
+    const height_map = new Float32Array( size*size );
+
+    for ( var i = 0; i < size; i++ ) {
+        // position of the target point in the source grid
+        const y = i/( size - 1 )*( height - 1 );
+        const y0 = Math.floor( y );
+        const y1 = Math.min( y0 + 1, height - 1 );
+        const ty = y - y0;
+
+        for ( var j = 0; j < size; j++ ) {
+            const x = j/( size - 1 )*( width - 1 );
+            const x0 = Math.floor( x );
+            const x1 = Math.min( x0 + 1, width - 1 );
+            const tx = x - x0;
+
+            const top = heights[y0*width + x0]*( 1 - tx ) + heights[y0*width + x1]*tx;
+            const bottom = heights[y1*width + x0]*( 1 - tx ) + heights[y1*width + x1]*tx;
+            height_map[i*size + j] = min + ( top*( 1 - ty ) + bottom*ty )*( max - min );
+        }
+    }
+
+    return height_map;
+}
@@ -0,0 +1,79 @@
+import { resample } from "./generation.js"
+import { generate_height_map } from "./generators.js"
+import { hydraulic_erosion, thermal_erosion } from "./erosion.js"
+import { carve_rivers } from "./rivers.js"
+import { find_lakes } from "./lakes.js"
+import { compute_occlusion } from "./occlusion.js"
+
+// GENERATION WORKER ========================================================================
+/**
+ * Generates height map in background so the rendering is not blocked,
+ * imported height map is resampled instead of running the generator and
+ * enabled erosion passes and river carving are applied afterwards, lakes and
+ * ambient occlusion of the final map are computed when they are enabled, progress
+ * of every stage is reported and the buffers are transferred back to the main
+ * thread without copying
+ */
+self.onmessage = function( event ) {
+    const job = event.data;
+
+    /**
+     * Creates progress callback of one generation stage
+     * @param { string } stage: name of the stage shown in gui
+     * @returns function sending progress message
+     */
+    const reporter = function( stage ) {
+        return function( progress ) {
+            self.postMessage({ type: 'progress', id: job.id, stage: stage, progress: progress });
+        };
+    };
+
+    var height_map;
+    if ( job.imported !== null ) {
+        height_map = resample( job.imported.heights, job.imported.width, job.imported.height,
+                               job.two_exponent, job.import_min, job.import_max );
+        reporter( 'resampling' )( 1 );
+    } else {
+        height_map = generate_height_map( job.algorithm, job.two_exponent, job.seed, job.params,
+                                          reporter( 'generating' ) );
+    }
+
+    if ( job.hydraulic.enabled )
+        hydraulic_erosion( height_map, job.seed, job.hydraulic, reporter( 'eroding' ) );
+
+    // copy before thermal erosion is kept for before/after comparison
+    var before = null;
+    if ( job.thermal.thermal_iterations > 0 ) {
+        before = height_map.slice();
+        thermal_erosion( height_map, job.cell_size, job.thermal, reporter( 'smoothing' ) );
+    }
+
+    // river channels are carved after erosion so they are not filled again
+    var rivers = null;
+    if ( job.rivers.enabled )
+        rivers = carve_rivers( height_map, job.cell_size, job.rivers, reporter( 'draining' ) );
+
+    // basins are found in the final map, so the carved channels end in lakes as well
+    var lakes = null;
+    if ( job.lakes.enabled )
+        lakes = find_lakes( height_map, job.cell_size, job.lakes, reporter( 'filling' ) );
+
+    var occlusion = null;
+    if ( job.occlusion.enabled )
+        occlusion = compute_occlusion( height_map, job.cell_size, job.occlusion, reporter( 'shading' ) );
+
+    const transfer = [ height_map.buffer ];
+    if ( before !== null )
+        transfer.push( before.buffer );
+    if ( occlusion !== null )
+        transfer.push( occlusion.buffer );
+    if ( rivers !== null )
+        transfer.push( rivers.positions.buffer, rivers.uvs.buffer, rivers.indices.buffer );
+    if ( lakes !== null ) {
+        lakes.forEach( function( lake ) {
+            transfer.push( lake.positions.buffer, lake.uvs.buffer, lake.indices.buffer );
+        } );
+    }
+    self.postMessage({ type: 'done', id: job.id, height_map: height_map, before: before,
+                       occlusion: occlusion, rivers: rivers, lakes: lakes }, transfer );
+}
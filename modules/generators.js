@@ -0,0 +1,213 @@
+import { create_random, diamond_square, diamond_square_chunk } from "./generation.js"
+import { create_permutation, value_noise, perlin_noise, simplex_noise,
+         worley_noise, fbm, ridged_multifractal } from "./noise.js"
+
+// GENERATOR REGISTRY =======================================================================
+// parameters shared by noise generators, frequency is number of noise features
+// across the whole terrain side ( 100 units )
+const height_param = { key: 'height', name: 'Height', min: 0, max: 100, step: 0.1, value: 30 };
+const frequency_param = { key: 'frequency', name: 'Frequency', min: 0.5, max: 20, step: 0.1, value: 3 };
+const octaves_param = { key: 'octaves', name: 'Octaves', min: 1, max: 10, step: 1, value: 6 };
+const lacunarity_param = { key: 'lacunarity', name: 'Lacunarity', min: 1.5, max: 3, step: 0.01, value: 2 };
+const gain_param = { key: 'gain', name: 'Gain', min: 0.2, max: 0.8, step: 0.01, value: 0.5 };
+
+/**
+ * Registered terrain generators, every generator has its gui name and list of parameters
+ * ( key, gui name, slider range and default value ), generator either fills the whole
+ * grid ( grid function ) or creates function returning height for any position ( field ),
+ * grid generators need chunk function to be used for infinite terrain
+ */
+export const generators = {
+    diamond_square: {
+        name: 'Diamond-Square',
+        params: [
+            { key: 'height', name: 'Height', min: 0, max: 50, step: 0.1, value: 0 },
+            { key: 'roughness', name: 'Roughness', min: 2, max: 100, step: 0.1, value: 30 }
+        ],
+        grid: function( two_exponent, seed, params, on_progress ) {
+            return diamond_square( two_exponent, params.roughness, params.height, seed, on_progress );
+        },
+        chunk: function( two_exponent, seed, params, cx, cy ) {
+            return diamond_square_chunk( two_exponent, params.roughness, params.height, seed, cx, cy );
+        }
+    },
+    perlin: {
+        name: 'Perlin',
+        params: [ height_param, frequency_param ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*perlin_noise( perm, x, y );
+            };
+        }
+    },
+    simplex: {
+        name: 'Simplex',
+        params: [ height_param, frequency_param ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*simplex_noise( perm, x, y );
+            };
+        }
+    },
+    value: {
+        name: 'Value Noise',
+        params: [ height_param, frequency_param ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*value_noise( perm, x, y );
+            };
+        }
+    },
+    fbm: {
+        name: 'fBm',
+        params: [ height_param, frequency_param, octaves_param, lacunarity_param, gain_param ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*fbm( perlin_noise, perm, x, y,
+                                          params.octaves, params.lacunarity, params.gain );
+            };
+        }
+    },
+    ridged: {
+        name: 'Ridged Multifractal',
+        params: [ height_param, frequency_param, octaves_param, lacunarity_param, gain_param,
+                  { key: 'offset', name: 'Offset', min: 0.5, max: 1.5, step: 0.01, value: 1 } ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*ridged_multifractal( perlin_noise, perm, x, y, params.octaves,
+                                                          params.lacunarity, params.gain, params.offset );
+            };
+        }
+    },
+    worley: {
+        name: 'Worley',
+        params: [ height_param, frequency_param,
+                  { key: 'jitter', name: 'Jitter', min: 0, max: 1, step: 0.01, value: 1 } ],
+        field: function( perm, params ) {
+            return function( x, y ) {
+                return params.height*Math.min( worley_noise( perm, x, y, params.jitter ), 1 );
+            };
+        }
+    }
+};
+
+/**
+ * Gets default values of parameters ( e.g. parameters of the generator )
+ * @param { Array } descriptors: list of parameters { key, value }
+ * @returns object with parameter values
+ */
+export function default_params( descriptors ) {
+    const params = {};
+    descriptors.forEach( function( param ) {
+        params[param.key] = param.value;
+    } );
+
+    return params;
+}
+
+/**
+ * Creates function returning height of the terrain for position on the terrain plane,
+ * only generators with field function can be sampled this way
+ * @param { string } algorithm: key of the generator in the registry
+ * @param { number } seed: seed of the random number generator
+ * @param { Object } params: parameter values of the generator
+ * @returns function ( x, y ) returning height, x and y are in terrain units
+ */
+export function create_field( algorithm, seed, params ) {
+    const perm = create_permutation( create_random( seed ) );
+    const noise = generators[algorithm].field( perm, params );
+    const scale = params.frequency/100;
+
+    return function( x, y ) {
+        return noise( x*scale, y*scale );
+    };
+}
+
+/**
+ * Generates height map of 2^two_exponent + 1 grid covering the terrain plane
+ * ( 100 x 100 units, first row is the top edge ) by the chosen generator
+ * @param { string } algorithm: key of the generator in the registry
+ * @param { number } two_exponent: exponent of two
+ * @param { number } seed: seed of the random number generator
+ * @param { Object } params: parameter values of the generator
+ * @param { function } on_progress: optional callback receiving done fraction of the height map
+ * @returns array(height map) filled with generated heights
+ */
+export function generate_height_map( algorithm, two_exponent, seed, params, on_progress ) {
+    if ( generators[algorithm].grid )
+        return generators[algorithm].grid( two_exponent, seed, params, on_progress );
+
+    const field = create_field( algorithm, seed, params );
+    const size = Math.pow( 2, two_exponent ) + 1;
+    const height_map = new Float32Array( size*size );
+    const step = 100/( size - 1 );
+
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ )
+            height_map[i*size + j] = field( -50 + j*step, 50 - i*step );
+
+        // progress is reported roughly in every 1/16 of the rows
+        if ( on_progress && ( i%Math.ceil( size/16 ) == 0 || i == size - 1 ) )
+            on_progress( ( i + 1 )/size );
+    }
+
+    return height_map;
+}
+
+/**
+ * Generates one chunk of infinite terrain, chunk [cx, cy] covers the same area as
+ * the terrain plane moved by 100*cx units right and 100*cy units up, samples on shared
+ * edges are computed from the same integer grid positions so neighboring chunks fit
+ * exactly, for noise generators the chunk [0, 0] is the terrain itself, diamond-square
+ * chunks use its hashed variant, so they differ from the single terrain
+ * @param { string } algorithm: key of the generator in the registry
+ * @param { number } two_exponent: exponent of two ( chunk has 2^n segments )
+ * @param { number } seed: seed of the random number generator
+ * @param { Object } params: parameter values of the generator
+ * @param { number } cx: column of the chunk
+ * @param { number } cy: row of the chunk ( growing upwards )
+ * @returns object with height map and vertex normals ( null when they can not be computed
+ *          across the chunk edges )
+ */
+export function generate_chunk( algorithm, two_exponent, seed, params, cx, cy ) {
+    if ( generators[algorithm].chunk ) {
+        return {
+            height_map: generators[algorithm].chunk( two_exponent, seed, params, cx, cy ),
+            normals: null
+        };
+    }
+
+    const field = create_field( algorithm, seed, params );
+    const res = Math.pow( 2, two_exponent );
+    const size = res + 1;
+    const step = 100/res;
+
+    // heights with one extra row and column on every side for normals on the edges
+    const apron = new Float32Array( ( size + 2 )*( size + 2 ) );
+    for ( var i = 0; i < size + 2; i++ ) {
+        for ( var j = 0; j < size + 2; j++ ) {
+            const gx = cx*res + j - 1 - res/2;
+            const gy = cy*res + res/2 - i + 1;
+            apron[i*( size + 2 ) + j] = field( gx*step, gy*step );
+        }
+    }
+
+    const height_map = new Float32Array( size*size );
+    const normals = new Float32Array( size*size*3 );
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ ) {
+            const index = ( i + 1 )*( size + 2 ) + j + 1;
+            height_map[i*size + j] = apron[index];
+
+            // central differences, rows grow downwards
+            const dx = ( apron[index + 1] - apron[index - 1] )/( 2*step );
+            const dy = ( apron[index - size - 2] - apron[index + size + 2] )/( 2*step );
+            const length = Math.sqrt( dx*dx + dy*dy + 1 );
+            normals[( i*size + j )*3] = -dx/length;
+            normals[( i*size + j )*3 + 1] = -dy/length;
+            normals[( i*size + j )*3 + 2] = 1/length;
+        }
+    }
+
+    return { height_map: height_map, normals: normals };
+}
@@ -0,0 +1,478 @@
+// HEIGHT MAP ENCODING ======================================================================
+/**
+ * Finds the lowest and the highest elevation in the height map
+ * @param { Float32Array } height_map: array of heights
+ * @returns object with min and max elevation
+ */
+export function height_range( height_map ) {
+    var min = Infinity;
+    var max = -Infinity;
+
+    for ( var i = 0; i < height_map.length; i++ ) {
+        if ( height_map[i] < min )
+            min = height_map[i];
+        if ( height_map[i] > max )
+            max = height_map[i];
+    }
+
+    return { min: min, max: max };
+}
+
+/**
+ * Normalizes heights from interval ( min, max ) to 16-bit integers
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } min: elevation mapped to 0
+ * @param { number } max: elevation mapped to 65535
+ * @returns array of normalized heights
+ */
+function normalize( height_map, min, max ) {
+    const values = new Uint16Array( height_map.length );
+    const range = max - min;
+
+    // flat terrain has no range, all its heights are mapped to 0
+    if ( range > 0 ) {
+        for ( var i = 0; i < height_map.length; i++ )
+            values[i] = Math.round( ( height_map[i] - min )/range*65535 );
+    }
+
+    return values;
+}
+
+/**
+ * Encodes height map as RAW/R16 file ( 16-bit little-endian values without header ),
+ * the format used by Unity and Unreal terrain importers
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } min: elevation mapped to 0
+ * @param { number } max: elevation mapped to 65535
+ * @returns bytes of the file
+ */
+export function encode_r16( height_map, min, max ) {
+    const values = normalize( height_map, min, max );
+    const bytes = new Uint8Array( values.length*2 );
+    const view = new DataView( bytes.buffer );
+
+    for ( var i = 0; i < values.length; i++ )
+        view.setUint16( i*2, values[i], true );
+
+    return bytes;
+}
+
+// table for crc computation of png chunks and zip entries
+const crc_table = new Uint32Array( 256 );
+for ( var n = 0; n < 256; n++ ) {
+    var c = n;
+    for ( var k = 0; k < 8; k++ )
+        c = ( c & 1 ) ? ( 0xedb88320 ^ ( c >>> 1 ) ) : ( c >>> 1 );
+    crc_table[n] = c >>> 0;
+}
+
+/**
+ * Computes crc32 checksum of bytes
+ * @param { Uint8Array } bytes
+ * @returns 32-bit checksum
+ */
+function crc32( bytes ) {
+    var crc = 0xffffffff;
+    for ( var i = 0; i < bytes.length; i++ )
+        crc = crc_table[( crc ^ bytes[i] ) & 0xff] ^ ( crc >>> 8 );
+
+    return ( crc ^ 0xffffffff ) >>> 0;
+}
+
+/**
+ * Computes adler32 checksum of bytes used by zlib stream
+ * @param { Uint8Array } bytes
+ * @returns 32-bit checksum
+ */
+function adler32( bytes ) {
+    var a = 1;
+    var b = 0;
+    for ( var i = 0; i < bytes.length; i++ ) {
+        a = ( a + bytes[i] )%65521;
+        b = ( b + a )%65521;
+    }
+
+    return ( ( b << 16 ) | a ) >>> 0;
+}
+
+/**
+ * Wraps bytes into zlib stream made of uncompressed ( stored ) deflate blocks
+ * @param { Uint8Array } bytes
+ * @returns zlib stream
+ */
+function zlib_store( bytes ) {
+    const block_size = 65535;
+    const block_count = Math.max( 1, Math.ceil( bytes.length/block_size ) );
+    const stream = new Uint8Array( 2 + block_count*5 + bytes.length + 4 );
+    const view = new DataView( stream.buffer );
+
+    // zlib header ( deflate, no compression )
+    stream[0] = 0x78;
+    stream[1] = 0x01;
+
+    var offset = 2;
+    for ( var i = 0; i < block_count; i++ ) {
+        const block = bytes.subarray( i*block_size, ( i + 1 )*block_size );
+        stream[offset] = ( i == block_count - 1 ) ? 1 : 0;     // last block flag
+        view.setUint16( offset + 1, block.length, true );
+        view.setUint16( offset + 3, ~block.length & 0xffff, true );
+        stream.set( block, offset + 5 );
+        offset += 5 + block.length;
+    }
+
+    view.setUint32( offset, adler32( bytes ) );
+
+    return stream;
+}
+
+/**
+ * Creates png chunk with its length, type and checksum
+ * @param { string } type: four letter chunk type
+ * @param { Uint8Array } data: chunk content
+ * @returns bytes of the chunk
+ */
+function png_chunk( type, data ) {
+    const chunk = new Uint8Array( data.length + 12 );
+    const view = new DataView( chunk.buffer );
+
+    view.setUint32( 0, data.length );
+    for ( var i = 0; i < 4; i++ )
+        chunk[4 + i] = type.charCodeAt( i );
+    chunk.set( data, 8 );
+    view.setUint32( data.length + 8, crc32( chunk.subarray( 4, data.length + 8 ) ) );
+
+    return chunk;
+}
+
+/**
+ * Joins png signature and chunks into one file
+ * @param { Array } chunks: bytes ( Uint8Array ) of the chunks
+ * @returns bytes of the file
+ */
+function png_file( chunks ) {
+    chunks.unshift( new Uint8Array( [ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ] ) );
+
+    const length = chunks.reduce( function( sum, chunk ) { return sum + chunk.length; }, 0 );
+    const png = new Uint8Array( length );
+    var offset = 0;
+    for ( var i = 0; i < chunks.length; i++ ) {
+        png.set( chunks[i], offset );
+        offset += chunks[i].length;
+    }
+
+    return png;
+}
+
+/**
+ * Encodes square height map as 16-bit grayscale png, first row of the height map
+ * is the top row of the image
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } min: elevation mapped to black
+ * @param { number } max: elevation mapped to white
+ * @returns bytes of the file
+ */
+export function encode_png16( height_map, min, max ) {
+    const values = normalize( height_map, min, max );
+    const size = Math.round( Math.sqrt( height_map.length ) );
+
+    // image header: width, height, bit depth 16, grayscale, default compression,
+    // filtering and no interlace
+    const header = new Uint8Array( 13 );
+    const header_view = new DataView( header.buffer );
+    header_view.setUint32( 0, size );
+    header_view.setUint32( 4, size );
+    header[8] = 16;
+    header[9] = 0;
+
+    // every row starts with filter type byte ( 0 = none ), samples are big-endian
+    const row_length = size*2 + 1;
+    const pixels = new Uint8Array( row_length*size );
+    const pixels_view = new DataView( pixels.buffer );
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ )
+            pixels_view.setUint16( i*row_length + 1 + j*2, values[i*size + j] );
+    }
+
+    return png_file( [ png_chunk( 'IHDR', header ),
+                       png_chunk( 'IDAT', zlib_store( pixels ) ),
+                       png_chunk( 'IEND', new Uint8Array( 0 ) ) ] );
+}
+
+/**
+ * Encodes square map of palette indices ( e.g. biome map ) as 8-bit indexed color png,
+ * first row of the map is the top row of the image
+ * @param { Uint8Array } indices: array of palette indices
+ * @param { Array } palette: colors ( 0xrrggbb ) of the indices
+ * @returns bytes of the file
+ */
+export function encode_png_indexed( indices, palette ) {
+    const size = Math.round( Math.sqrt( indices.length ) );
+
+    // image header: width, height, bit depth 8, indexed color, default compression,
+    // filtering and no interlace
+    const header = new Uint8Array( 13 );
+    const header_view = new DataView( header.buffer );
+    header_view.setUint32( 0, size );
+    header_view.setUint32( 4, size );
+    header[8] = 8;
+    header[9] = 3;
+
+    const colors = new Uint8Array( palette.length*3 );
+    palette.forEach( function( color, k ) {
+        colors[k*3] = ( color >> 16 ) & 0xff;
+        colors[k*3 + 1] = ( color >> 8 ) & 0xff;
+        colors[k*3 + 2] = color & 0xff;
+    } );
+
+    // every row starts with filter type byte ( 0 = none )
+    const row_length = size + 1;
+    const pixels = new Uint8Array( row_length*size );
+    for ( var i = 0; i < size; i++ )
+        pixels.set( indices.subarray( i*size, ( i + 1 )*size ), i*row_length + 1 );
+
+    return png_file( [ png_chunk( 'IHDR', header ),
+                       png_chunk( 'PLTE', colors ),
+                       png_chunk( 'IDAT', zlib_store( pixels ) ),
+                       png_chunk( 'IEND', new Uint8Array( 0 ) ) ] );
+}
+
+// ARCHIVE ENCODING =========================================================================
+/**
+ * Packs files into one zip archive without compression ( stored entries ), so several
+ * files can be downloaded at once
+ * @param { Array } files: files { name, data } with ascii names and bytes of the data
+ * @returns bytes of the archive
+ */
+export function encode_zip( files ) {
+    const names = files.map( function( file ) {
+        return Uint8Array.from( file.name, function( char ) { return char.charCodeAt( 0 ); } );
+    } );
+
+    var local_length = 0, central_length = 0;
+    files.forEach( function( file, k ) {
+        local_length += 30 + names[k].length + file.data.length;
+        central_length += 46 + names[k].length;
+    } );
+
+    const bytes = new Uint8Array( local_length + central_length + 22 );
+    const view = new DataView( bytes.buffer );
+    var local = 0, central = local_length;
+
+    files.forEach( function( file, k ) {
+        const crc = crc32( file.data );
+        const name = names[k];
+
+        // local file header: version 2.0, no flags, stored, date 1980-01-01, checksum and sizes
+        view.setUint32( local, 0x04034b50, true );
+        view.setUint16( local + 4, 20, true );
+        view.setUint16( local + 12, 33, true );
+        view.setUint32( local + 14, crc, true );
+        view.setUint32( local + 18, file.data.length, true );
+        view.setUint32( local + 22, file.data.length, true );
+        view.setUint16( local + 26, name.length, true );
+        bytes.set( name, local + 30 );
+        bytes.set( file.data, local + 30 + name.length );
+
+        // central directory header repeats the local one and points to it
+        view.setUint32( central, 0x02014b50, true );
+        view.setUint16( central + 4, 20, true );
+        view.setUint16( central + 6, 20, true );
+        view.setUint16( central + 14, 33, true );
+        view.setUint32( central + 16, crc, true );
+        view.setUint32( central + 20, file.data.length, true );
+        view.setUint32( central + 24, file.data.length, true );
+        view.setUint16( central + 28, name.length, true );
+        view.setUint32( central + 42, local, true );
+        bytes.set( name, central + 46 );
+
+        local += 30 + name.length + file.data.length;
+        central += 46 + name.length;
+    } );
+
+    // end of central directory record
+    view.setUint32( central, 0x06054b50, true );
+    view.setUint16( central + 8, files.length, true );
+    view.setUint16( central + 10, files.length, true );
+    view.setUint32( central + 12, central_length, true );
+    view.setUint32( central + 16, local_length, true );
+
+    return bytes;
+}
+
+// HEIGHT MAP DECODING ======================================================================
+/**
+ * Inflates zlib stream using browser DecompressionStream
+ * @param { Array } parts: parts ( Uint8Array ) of zlib stream
+ * @returns promise of inflated bytes
+ */
+function zlib_inflate( parts ) {
+    const stream = new Blob( parts ).stream().pipeThrough( new DecompressionStream( 'deflate' ) );
+    return new Response( stream ).arrayBuffer().then( function( buffer ) {
+        return new Uint8Array( buffer );
+    } );
+}
+
+/**
+ * Paeth predictor used by png filter type 4
+ * @param { number } a: left byte
+ * @param { number } b: upper byte
+ * @param { number } c: upper left byte
+ * @returns predicted byte
+ */
+function paeth( a, b, c ) {
+    const p = a + b - c;
+    const pa = Math.abs( p - a );
+    const pb = Math.abs( p - b );
+    const pc = Math.abs( p - c );
+
+    if ( pa <= pb && pa <= pc )
+        return a;
+    return ( pb <= pc ) ? b : c;
+}
+
+/**
+ * Decodes non-interlaced 8-bit or 16-bit grayscale/rgb png, only the first channel is used
+ * @param { Uint8Array } bytes: content of the png file
+ * @returns promise of decoded height map, null when the png format is not supported
+ */
+function decode_png( bytes ) {
+    const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+    var width = 0, height = 0, depth = 0, color_type = 0, interlace = 0;
+    const data = [];
+
+    // read header and collect image data chunks
+    var offset = 8;
+    while ( offset + 8 <= bytes.length ) {
+        const length = view.getUint32( offset );
+        const type = String.fromCharCode( bytes[offset + 4], bytes[offset + 5],
+                                          bytes[offset + 6], bytes[offset + 7] );
+        if ( type == 'IHDR' ) {
+            width = view.getUint32( offset + 8 );
+            height = view.getUint32( offset + 12 );
+            depth = bytes[offset + 16];
+            color_type = bytes[offset + 17];
+            interlace = bytes[offset + 20];
+        } else if ( type == 'IDAT' ) {
+            data.push( bytes.subarray( offset + 8, offset + 8 + length ) );
+        } else if ( type == 'IEND' ) {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    // channel count of grayscale, rgb, grayscale with alpha and rgba
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[color_type];
+    if ( channels === undefined || ( depth != 8 && depth != 16 ) || interlace != 0 || data.length == 0 )
+        return Promise.resolve( null );
+
+    return zlib_inflate( data ).then( function( pixels ) {
+        const bpp = channels*depth/8;
+        const row_length = width*bpp;
+        const rows = new Uint8Array( row_length*height );
+        const heights = new Float32Array( width*height );
+        const max_value = Math.pow( 2, depth ) - 1;
+
+        // reverse png row filters, every row starts with its filter type
+        for ( var i = 0; i < height; i++ ) {
+            const filter = pixels[i*( row_length + 1 )];
+            const source = i*( row_length + 1 ) + 1;
+            const row = i*row_length;
+
+            for ( var j = 0; j < row_length; j++ ) {
+                const a = ( j >= bpp ) ? rows[row + j - bpp] : 0;
+                const b = ( i > 0 ) ? rows[row - row_length + j] : 0;
+                const c = ( i > 0 && j >= bpp ) ? rows[row - row_length + j - bpp] : 0;
+                var value = pixels[source + j];
+
+                if ( filter == 1 )
+                    value += a;
+                else if ( filter == 2 )
+                    value += b;
+                else if ( filter == 3 )
+                    value += ( a + b ) >> 1;
+                else if ( filter == 4 )
+                    value += paeth( a, b, c );
+
+                rows[row + j] = value & 0xff;
+            }
+        }
+
+        // first channel of every pixel normalized to ( 0, 1 ), 16-bit samples are big-endian
+        for ( var i = 0; i < width*height; i++ ) {
+            const sample = ( depth == 16 ) ? ( rows[i*bpp] << 8 ) | rows[i*bpp + 1] : rows[i*bpp];
+            heights[i] = sample/max_value;
+        }
+
+        return { width: width, height: height, heights: heights };
+    } );
+}
+
+/**
+ * Decodes any image supported by the browser through canvas, precision is limited to 8 bits
+ * @param { Blob } file: image file
+ * @returns promise of decoded height map
+ */
+function decode_image( file ) {
+    return createImageBitmap( file ).then( function( image ) {
+        const canvas = document.createElement( 'canvas' );
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        const context = canvas.getContext( '2d' );
+        context.drawImage( image, 0, 0 );
+        const pixels = context.getImageData( 0, 0, image.width, image.height ).data;
+
+        // red channel is used as height
+        const heights = new Float32Array( image.width*image.height );
+        for ( var i = 0; i < heights.length; i++ )
+            heights[i] = pixels[i*4]/255;
+
+        return { width: image.width, height: image.height, heights: heights };
+    } );
+}
+
+/**
+ * Decodes square RAW/R16 file ( 16-bit little-endian values without header )
+ * @param { Uint8Array } bytes: content of the file
+ * @returns decoded height map, null when the file is not square
+ */
+function decode_r16( bytes ) {
+    const size = Math.round( Math.sqrt( bytes.length/2 ) );
+    if ( size < 2 || size*size*2 != bytes.length )
+        return null;
+
+    const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+    const heights = new Float32Array( size*size );
+    for ( var i = 0; i < heights.length; i++ )
+        heights[i] = view.getUint16( i*2, true )/65535;
+
+    return { width: size, height: size, heights: heights };
+}
+
+/**
+ * Decodes height map file, .r16/.raw files are read as 16-bit RAW, png files are decoded
+ * with full 16-bit precision and other images are decoded by the browser
+ * @param { File } file: height map file
+ * @returns promise of height map { width, height, heights } with heights normalized to ( 0, 1 )
+ */
+export function decode_heightmap( file ) {
+    return file.arrayBuffer().then( function( buffer ) {
+        const bytes = new Uint8Array( buffer );
+
+        if ( /\.(r16|raw)$/i.test( file.name ) ) {
+            const height_map = decode_r16( bytes );
+            if ( height_map === null )
+                throw new Error( 'RAW height map ' + file.name + ' is not square 16-bit image' );
+            return height_map;
+        }
+
+        // png signature
+        if ( bytes[0] == 0x89 && bytes[1] == 0x50 && bytes[2] == 0x4e && bytes[3] == 0x47 ) {
+            return decode_png( bytes ).then( function( height_map ) {
+                return height_map || decode_image( file );
+            } );
+        }
+
+        return decode_image( file );
+    } );
+}
@@ -0,0 +1,133 @@
+import { fill_depressions } from "./rivers.js"
+
+// LAKES ====================================================================================
+/**
+ * Adjustable parameters of lakes ( key, gui name, slider range and default value ),
+ * basins shallower than the minimal depth or smaller than the minimal area ( in square
+ * terrain units ) are left dry
+ */
+export const lake_params = [
+    { key: 'lake_min_depth', name: 'Min Depth', min: 0, max: 5, step: 0.05, value: 0.25 },
+    { key: 'lake_min_area', name: 'Min Area', min: 0, max: 200, step: 1, value: 10 }
+];
+
+// row and column offsets of the eight neighbors of a grid point
+const neighbor_rows = [ -1, -1, -1, 0, 0, 1, 1, 1 ];
+const neighbor_cols = [ -1, 0, 1, -1, 1, -1, 0, 1 ];
+
+/**
+ * Finds closed basins of the height map and fills each of them to its spill level,
+ * the basins are the depressions raised by depression filling, every connected group
+ * of raised grid points with the same level is one lake
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of lake_params
+ * @param { function } on_progress: optional callback receiving done fraction of the pass
+ * @returns array of lakes { level, area, positions, uvs, indices }, surface geometry
+ *          is flat in coordinates of the terrain mesh and lies at zero height
+ */
+export function find_lakes( height_map, cell_size, params, on_progress ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const filled = fill_depressions( height_map ).filled;
+    if ( on_progress )
+        on_progress( 0.5 );
+
+    const assigned = new Uint8Array( height_map.length );
+    const stack = new Int32Array( height_map.length );
+    const lakes = [];
+
+    for ( var index = 0; index < height_map.length; index++ ) {
+        if ( assigned[index] || filled[index] <= height_map[index] )
+            continue;
+
+        // flood fill of the basin, raised points of one basin share the spill level exactly
+        const level = filled[index];
+        const points = [];
+        var depth = 0;
+        var top = 0;
+        stack[top++] = index;
+        assigned[index] = 1;
+        while ( top > 0 ) {
+            const point = stack[--top];
+            points.push( point );
+            depth = Math.max( depth, level - height_map[point] );
+
+            const i = Math.floor( point/size );
+            const j = point - i*size;
+            for ( var n = 0; n < 8; n++ ) {
+                const row = i + neighbor_rows[n];
+                const col = j + neighbor_cols[n];
+                if ( row < 0 || col < 0 || row >= size || col >= size )
+                    continue;
+                const neighbor = row*size + col;
+                if ( !assigned[neighbor] && filled[neighbor] == level && filled[neighbor] > height_map[neighbor] ) {
+                    assigned[neighbor] = 1;
+                    stack[top++] = neighbor;
+                }
+            }
+        }
+
+        const area = points.length*cell_size*cell_size;
+        if ( depth >= params.lake_min_depth && area >= params.lake_min_area )
+            lakes.push( build_surface( points, level, area, size, cell_size ) );
+    }
+
+    if ( on_progress )
+        on_progress( 1 );
+
+    return lakes;
+}
+
+/**
+ * Builds flat water surface of the lake from grid cells touching the lake points,
+ * cells on the shore reach under the terrain so the water meets the banks
+ * @param { Array } points: indices of the lake grid points
+ * @param { number } level: spill level of the lake
+ * @param { number } area: area of the lake in square terrain units
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @returns lake { level, area, positions, uvs, indices }
+ */
+function build_surface( points, level, area, size, cell_size ) {
+    // cells are identified by their upper left grid point
+    const cells = new Set();
+    points.forEach( function( point ) {
+        const i = Math.floor( point/size );
+        const j = point - i*size;
+        for ( var row = Math.max( i - 1, 0 ); row <= Math.min( i, size - 2 ); row++ ) {
+            for ( var col = Math.max( j - 1, 0 ); col <= Math.min( j, size - 2 ); col++ )
+                cells.add( row*size + col );
+        }
+    } );
+
+    // grid points shared by neighboring cells become one vertex
+    const vertices = new Map();
+    const positions = [], uvs = [], indices = [];
+    const vertex = function( point ) {
+        if ( !vertices.has( point ) ) {
+            const i = Math.floor( point/size );
+            const j = point - i*size;
+            vertices.set( point, vertices.size );
+            positions.push( -50 + j*cell_size, 50 - i*cell_size, 0 );
+            uvs.push( j/( size - 1 ), 1 - i/( size - 1 ) );
+        }
+        return vertices.get( point );
+    };
+
+    // triangles have the same winding as the terrain plane, so they face up
+    cells.forEach( function( cell ) {
+        const a = vertex( cell );
+        const b = vertex( cell + size );
+        const c = vertex( cell + size + 1 );
+        const d = vertex( cell + 1 );
+        indices.push( a, b, d, b, c, d );
+    } );
+
+    return {
+        level: level,
+        area: area,
+        positions: new Float32Array( positions ),
+        uvs: new Float32Array( uvs ),
+        indices: new Uint32Array( indices )
+    };
+}
@@ -0,0 +1,339 @@
+import * as THREE from "./three.module.js"
+
+// QUADTREE LEVEL OF DETAIL =================================================================
+// number of segments on every side of one patch mesh
+const patch_segments = 32;
+
+/**
+ * "Class" rendering height map as quadtree of patches, every patch has the same number
+ * of segments, so patches close to the camera cover less terrain and show more detail
+ */
+export class QuadtreeLOD {
+    /**
+     * Object constructor
+     * @param { THREE.Group } group: group the patch meshes are added to, it is a child of the
+     *                               terrain root next to the terrain mesh
+     * @param { THREE.Material } material: material shared by all patches
+     * @param { function } on_build: callback receiving every new patch geometry ( e.g. for coloring )
+     */
+    constructor( group, material, on_build ) {
+        this.group = group;
+        this.material = material;
+        this.on_build = on_build;
+
+        // patch is split when the camera is closer than its side multiplied by the bias
+        this.bias = 1.5;
+
+        this.height_map = null;
+        // ambient occlusion of the height map grid points or null
+        this.occlusion = null;
+        this.size = 0;
+        this.min_height = 0;
+        this.max_height = 0;
+        this.root = null;
+        // patches rendered in the last update
+        this.leaves = [];
+    }
+
+    /**
+     * Sets height map rendered by the patches, all patches are built again
+     * @param { Float32Array } height_map: heights of 2^n + 1 grid covering the terrain plane
+     * @param { Float32Array } occlusion: ambient occlusion of the grid points or null
+     */
+    set_height_map( height_map, occlusion ) {
+        this.clear();
+        this.height_map = height_map;
+        this.occlusion = occlusion;
+        this.size = Math.round( Math.sqrt( height_map.length ) );
+
+        this.min_height = Infinity;
+        this.max_height = -Infinity;
+        for ( var i = 0; i < height_map.length; i++ ) {
+            this.min_height = Math.min( this.min_height, height_map[i] );
+            this.max_height = Math.max( this.max_height, height_map[i] );
+        }
+
+        this.root = this.create_node( 0, 0, this.size - 1 );
+    }
+
+    /** Removes all patches, they are built again by the next update */
+    clear() {
+        this.leaves.forEach( this.dispose, this );
+        this.leaves = [];
+        this.root = null;
+    }
+
+    /**
+     * Creates quadtree node covering square part of the height map
+     * @param { number } i: first row of the node
+     * @param { number } j: first column of the node
+     * @param { number } cells: number of cells on the node side
+     * @returns node object
+     */
+    create_node( i, j, cells ) {
+        return {
+            i: i,
+            j: j,
+            cells: cells,
+            step: Math.max( 1, cells/patch_segments ),  // distance of patch vertices in cells
+            children: null,
+            split: false,
+            mesh: null,
+            stitch: null    // steps of coarser neighbors the edges were stitched to
+        };
+    }
+
+    /**
+     * Chooses patches by the camera distance and replaces the rendered ones
+     * @param { THREE.Vector3 } camera: camera position in local coordinates of the group
+     */
+    update( camera ) {
+        if ( this.root === null )
+            return;
+
+        const leaves = [];
+        this.select( this.root, camera, leaves );
+
+        // patches which are not rendered anymore are freed
+        this.leaves.forEach( function( node ) {
+            if ( leaves.indexOf( node ) < 0 )
+                this.dispose( node );
+        }, this );
+        this.leaves = leaves;
+
+        leaves.forEach( function( node ) {
+            if ( node.mesh === null )
+                this.build( node );
+            this.stitch( node );
+        }, this );
+    }
+
+    /**
+     * Marks nodes which have to be split and collects the rendered ones
+     * @param { Object } node: quadtree node
+     * @param { THREE.Vector3 } camera: camera position in local coordinates of the group
+     * @param { Array } leaves: array collecting rendered nodes
+     */
+    select( node, camera, leaves ) {
+        const cell_size = 100/( this.size - 1 );
+        const side = node.cells*cell_size;
+        const x = -50 + node.j*cell_size;
+        const y = 50 - node.i*cell_size;
+
+        // distance of the camera from the node box ( with height range of the whole map )
+        const dx = Math.max( x - camera.x, 0, camera.x - ( x + side ) );
+        const dy = Math.max( ( y - side ) - camera.y, 0, camera.y - y );
+        const dz = Math.max( this.min_height - camera.z, 0, camera.z - this.max_height );
+        const distance = Math.sqrt( dx*dx + dy*dy + dz*dz );
+
+        node.split = node.step > 1 && distance < side*this.bias;
+        if ( !node.split ) {
+            leaves.push( node );
+            return;
+        }
+
+        if ( node.children === null ) {
+            const half = node.cells/2;
+            node.children = [
+                this.create_node( node.i, node.j, half ),
+                this.create_node( node.i, node.j + half, half ),
+                this.create_node( node.i + half, node.j, half ),
+                this.create_node( node.i + half, node.j + half, half )
+            ];
+        }
+
+        node.children.forEach( function( child ) { this.select( child, camera, leaves ); }, this );
+    }
+
+    /**
+     * Finds rendered node containing grid point
+     * @param { number } i: row of the point
+     * @param { number } j: column of the point
+     * @returns rendered node or null when the point is outside of the height map
+     */
+    leaf_at( i, j ) {
+        if ( i < 0 || j < 0 || i > this.size - 1 || j > this.size - 1 )
+            return null;
+
+        var node = this.root;
+        while ( node.split ) {
+            const half = node.cells/2;
+            node = node.children[( i >= node.i + half ? 2 : 0 ) + ( j >= node.j + half ? 1 : 0 )];
+        }
+
+        return node;
+    }
+
+    /**
+     * Gets height of the patch vertex, vertices on edges bordering coarser patch are moved
+     * onto the coarser edge ( interpolated between its vertices ) so there are no cracks
+     * @param { Object } node: quadtree node
+     * @param { number } i: row of the vertex
+     * @param { number } j: column of the vertex
+     * @returns height of the vertex
+     */
+    vertex_height( node, i, j ) {
+        const size = this.size;
+        const height_map = this.height_map;
+
+        // steps of neighbors above, below, left and right
+        const stitch = node.stitch;
+        var step = 0, along_row = true;
+        if ( i == node.i && stitch[0] > node.step ) step = stitch[0];
+        else if ( i == node.i + node.cells && stitch[1] > node.step ) step = stitch[1];
+        else if ( j == node.j && stitch[2] > node.step ) { step = stitch[2]; along_row = false; }
+        else if ( j == node.j + node.cells && stitch[3] > node.step ) { step = stitch[3]; along_row = false; }
+
+        if ( step == 0 )
+            return height_map[i*size + j];
+
+        if ( along_row ) {
+            const j0 = Math.floor( j/step )*step;
+            const t = ( j - j0 )/step;
+            return t == 0 ? height_map[i*size + j0]
+                          : height_map[i*size + j0]*( 1 - t ) + height_map[i*size + j0 + step]*t;
+        }
+
+        const i0 = Math.floor( i/step )*step;
+        const t = ( i - i0 )/step;
+        return t == 0 ? height_map[i0*size + j]
+                      : height_map[i0*size + j]*( 1 - t ) + height_map[( i0 + step )*size + j]*t;
+    }
+
+    /**
+     * Builds patch mesh of the node, normals are computed from the full height map
+     * so neighboring patches of different detail are lit the same way
+     * @param { Object } node: quadtree node
+     */
+    build( node ) {
+        const segments = node.cells/node.step;
+        const geometry = new THREE.PlaneGeometry( 1, 1, segments, segments );
+        const positions = geometry.getAttribute( 'position' );
+        const normals = geometry.getAttribute( 'normal' );
+        const uvs = geometry.getAttribute( 'uv' );
+        const occlusion = ( this.occlusion !== null ) ? new Float32Array( positions.count ) : null;
+
+        const size = this.size;
+        const height_map = this.height_map;
+        const cell_size = 100/( size - 1 );
+        const normal = new THREE.Vector3();
+
+        for ( var r = 0; r <= segments; r++ ) {
+            for ( var c = 0; c <= segments; c++ ) {
+                const i = node.i + r*node.step;
+                const j = node.j + c*node.step;
+                const index = r*( segments + 1 ) + c;
+
+                // positions and texture coordinates are the same as in the single terrain mesh
+                positions.setXYZ( index, -50 + j*cell_size, 50 - i*cell_size, height_map[i*size + j] );
+                uvs.setXY( index, j/( size - 1 ), 1 - i/( size - 1 ) );
+                if ( occlusion !== null )
+                    occlusion[index] = this.occlusion[i*size + j];
+
+                // central differences, rows grow downwards
+                const left = height_map[i*size + Math.max( j - 1, 0 )];
+                const right = height_map[i*size + Math.min( j + 1, size - 1 )];
+                const up = height_map[Math.max( i - 1, 0 )*size + j];
+                const down = height_map[Math.min( i + 1, size - 1 )*size + j];
+                normal.set( ( left - right )/( 2*cell_size ), ( down - up )/( 2*cell_size ), 1 ).normalize();
+                normals.setXYZ( index, normal.x, normal.y, normal.z );
+            }
+        }
+
+        if ( occlusion !== null )
+            geometry.setAttribute( 'occlusion', new THREE.BufferAttribute( occlusion, 1 ) );
+
+        geometry.computeBoundingSphere();
+        this.on_build( geometry );
+
+        node.mesh = new THREE.Mesh( geometry, this.material );
+        node.mesh.castShadow = true;
+        node.mesh.receiveShadow = true;
+        node.stitch = null;
+        this.group.add( node.mesh );
+    }
+
+    /**
+     * Moves edge vertices of the patch onto edges of coarser neighbors, the patch
+     * is changed only when steps of its neighbors changed since the last stitching
+     * @param { Object } node: rendered quadtree node
+     */
+    stitch( node ) {
+        const self = this;
+        const middle = node.cells/2;
+        const neighbors = [
+            this.leaf_at( node.i - 1, node.j + middle ),
+            this.leaf_at( node.i + node.cells + 1, node.j + middle ),
+            this.leaf_at( node.i + middle, node.j - 1 ),
+            this.leaf_at( node.i + middle, node.j + node.cells + 1 )
+        ];
+        const stitch = neighbors.map( function( neighbor ) {
+            return ( neighbor === null ) ? 0 : neighbor.step;
+        } );
+
+        if ( node.stitch !== null && stitch.every( function( step, n ) { return step == node.stitch[n]; } ) )
+            return;
+        node.stitch = stitch;
+
+        const segments = node.cells/node.step;
+        const positions = node.mesh.geometry.getAttribute( 'position' );
+
+        /**
+         * Updates heights of vertices on one edge of the patch
+         * @param { function } vertex: function returning [ row, column, index ] of k-th vertex
+         */
+        const update_edge = function( vertex ) {
+            for ( var k = 0; k <= segments; k++ ) {
+                const v = vertex( k );
+                positions.setZ( v[2], self.vertex_height( node, v[0], v[1] ) );
+            }
+        };
+
+        update_edge( function( k ) { return [ node.i, node.j + k*node.step, k ]; } );
+        update_edge( function( k ) { return [ node.i + node.cells, node.j + k*node.step,
+                                              segments*( segments + 1 ) + k ]; } );
+        update_edge( function( k ) { return [ node.i + k*node.step, node.j, k*( segments + 1 ) ]; } );
+        update_edge( function( k ) { return [ node.i + k*node.step, node.j + node.cells,
+                                              k*( segments + 1 ) + segments ]; } );
+        positions.needsUpdate = true;
+
+        // colors depend on heights
+        this.on_build( node.mesh.geometry );
+    }
+
+    /**
+     * Removes patch mesh of the node from the group and frees its geometry
+     * @param { Object } node: quadtree node
+     */
+    dispose( node ) {
+        if ( node.mesh === null )
+            return;
+
+        this.group.remove( node.mesh );
+        node.mesh.geometry.dispose();
+        node.mesh = null;
+    }
+
+    /**
+     * Replaces material of all patches
+     * @param { THREE.Material } material: material shared by all patches
+     */
+    set_material( material ) {
+        this.material = material;
+        this.leaves.forEach( function( node ) {
+            if ( node.mesh !== null )
+                node.mesh.material = material;
+        } );
+    }
+
+    /**
+     * Calls function for geometry of every rendered patch
+     * @param { function } callback: function receiving patch geometry
+     */
+    for_each_geometry( callback ) {
+        this.leaves.forEach( function( node ) {
+            if ( node.mesh !== null )
+                callback( node.mesh.geometry );
+        } );
+    }
+}
@@ -2,6 +2,29 @@ import * as THREE from "./three.module.js"
 import { OrbitControls } from "./OrbitControls.js"
 import { GLTFExporter } from "./GLTFExporter.js"
 import { GUI } from "./dat.gui.module.js"
+import { height_range, encode_png16, encode_png_indexed, encode_r16, encode_zip,
+         decode_heightmap } from "./heightmap.js"
+import { create_random, nearest_exponent } from "./generation.js"
+import { generators, default_params } from "./generators.js"
+import { hydraulic_params, thermal_params } from "./erosion.js"
+import { splat_params, create_splat_uniforms, add_splatting } from "./terrain_material.js"
+import { default_color_ramp, apply_color_ramp, ramp_to_string, ramp_from_string } from "./color_ramp.js"
+import { ChunkManager, chunk_side } from "./chunks.js"
+import { QuadtreeLOD } from "./lod.js"
+import { water_params, create_water_uniforms, add_waves } from "./water_material.js"
+import { Sky, sky_params } from "./sky.js"
+import { shadow_resolutions, shadow_params, setup_shadow, fit_shadow_camera } from "./shadows.js"
+import { river_params } from "./rivers.js"
+import { lake_params } from "./lakes.js"
+import { occlusion_params, update_occlusion_region } from "./occlusion.js"
+import { biomes, biome_params, create_biome_texture } from "./biomes.js"
+import { scatter_categories, scatter_params, create_scatter_geometries, merge_instances } from "./scatter.js"
+import { brush_types, brush_params, sample_height, apply_brush, update_region } from "./sculpt.js"
+import { create_permutation } from "./noise.js"
+import { fog_types, fog_params, setup_fog, add_height_fog } from "./fog.js"
+import { texture_manifest, load_textures, load_user_texture, create_material_maps,
+         derive_material_maps, tiling_params, default_tiling, apply_tiling, tiling_to_string,
+         tiling_from_string } from "./textures.js"
 
 // SCENE SETUP ==============================================================================
 // renderer setup
@@ -9,6 +32,12 @@ const renderer = new THREE.WebGLRenderer();
 renderer.setSize( window.innerWidth, window.innerHeight );
 document.body.appendChild( renderer.domElement );
 
+// shadow map is rendered only once per frame before the final render ( not for the depth pass ),
+// filtered shadow map uses the shadow radius as softness
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFShadowMap;
+renderer.shadowMap.autoUpdate = false;
+
 // creating scene itself and setting its background color
 const scene = new THREE.Scene();
 scene.background = new THREE.Color( 0x000000 );
@@ -28,141 +57,69 @@ const directional_light = new THREE.DirectionalLight( 0xffffdd, 0.4 );
 directional_light.position.set( 0, 75, 0 );
 scene.add( directional_light );
 
-// GENERATION ALGORITHM =====================================================================
-/**
- * Generates random float from interval ( min, max )
- * @param { number } min
- * @param { number } max
- * @returns random float number between min and max
- */
-function random_float( min, max ){
-    return ( Math.random()*( max - min ) + min )
-}
-
-/**
- * Using diamond-square algorithm generates heights and stores them to height map
- * @param {number} two_exponent: exponent of two
- * @param {number} terrain_roughness: roughness of the terrain
- * @param {number} max_init_height: maximum height for corner generation
- * @returns array(height map) filled with generated heights
- */
-function diamond_square( two_exponent, terrain_roughness, max_init_height ) {
-    var roughness = terrain_roughness;
-    var size = Math.pow( 2, two_exponent ) + 1;
-    var height_map = new Float32Array( size*size );
-
-    // generate corners of the height map
-    height_map[0] = random_float( 0, max_init_height );
-    height_map[size-1] = random_float( 0, max_init_height );
-    height_map[size*size-size] = random_float( 0, max_init_height );
-    height_map[size*size-1] = random_float( 0, max_init_height );
-
-    // generating the heights
-    var chunk_size = ( size - 1 );
-    while ( chunk_size > 1 ){
-        height_map = square( chunk_size, roughness, size, height_map );  // square step
-        height_map = diamond( chunk_size, roughness, size, height_map ); // diamond step
-        chunk_size /= 2;
-        roughness /= 2;     // reduction of rougness for smoother terrain
-    }
-
-    return height_map;
-}
-
-/**
- * Square step for diamond-square algorithm
- * @param { number } chunk_size: chunk size for current algorithm iteration
- * @param { number } roughness: terrain roughness for current algorithm iteration
- * @param { number } size: size of matrix(height map side)
- * @param { Array } height_map: array of heights
- * @returns array(height map) filled with generated heights
- */
-function square( chunk_size, roughness, size, height_map ) {
-    var half = chunk_size/2;
-
-    // using heigh_map as 2D matrix ( [i*size + j] ==> col = j, row = i )
-    // height is caculated as average of square corners + random from ( -roughness, rougness )
-    for ( var i = 0; i < size - 1; i += chunk_size ) {
-        for ( var j = 0; j < size - 1; j += chunk_size ) {
-            height_map[( i + half )*size + ( j + half )] = (
-                    height_map[i*size + j] +
-                    height_map[i*size + ( j + chunk_size )] +
-                    height_map[( i + chunk_size )*size + j] +
-                    height_map[( i + chunk_size )*size + ( j + chunk_size )]
-                )/4 + random_float( -roughness, roughness );
-        }
-    }
-
-    return height_map;
-}
-
-/**
- * Diamond step for diamond-square algorithm
- * @param { number } chunk_size: chunk size for current algorithm iteration
- * @param { number } roughness: terrain roughness for current algorithm iteration
- * @param { number } size: size of matrix(height map side)
- * @param { Array } height_map: array of heights
- * @returns array(height map) filled with generated heights
- */
-function diamond( chunk_size, roughness, size, height_map ) {
-    var half = chunk_size/2;
-
-    // using heigh_map as 2D matrix ( [i*size + j] ==> col = j, row = i )
-    // height is caculated as average of diamond corners + random from ( -roughness, rougness )
-    for ( var i = 0; i < size; i += half ) {
-        for ( var j = ( i + half )%chunk_size; j < size; j += chunk_size ) {
-            height_map[i*size + j] = ( get_diamond_avg( i, j, half, size, height_map ) +
-                                       random_float( -roughness, roughness ) );
-        }
-    }
-
-    return height_map;
-}
-
-/**
- * Calculates average of diamond corners
- * @param { number } i: row
- * @param { number } j: column
- * @param { number } half: chunk_size/2
- * @param { number } size: size of matrix(height map side)
- * @param { Array } height_map: array of heights
- * @returns average of diamond corner values
- */
-function get_diamond_avg( i, j, half, size, height_map ) {
-    var corners = new Array();
-
-    // checks whether the corner is in height_map, average of element on
-    // the edge of height_map is counted only from 3 diamond corners
-    if ( i - half >= 0 )
-        corners.push( height_map[( i - half )*size + j] );
-
-    if ( i + half < size )
-        corners.push( height_map[( i + half )*size + j] );
-
-    if ( j - half >= 0 )
-        corners.push( height_map[i*size + ( j - half )] );
-
-    if ( j + half < size )
-        corners.push( height_map[i*size + ( j + half )] );
-
-    var sum = 0;
-    for ( var i = 0; i < corners.length; i++ )
-        sum += corners[i];
-
-    return sum/corners.length
-}
+// sky dome with the sun moving by time of day, it sets color, intensity and direction of both
+// lights, the fixed lights above and black background are used when the cycle is turned off
+const sky = new Sky( scene, ambient_light, directional_light );
+
+// shadows of the sun or moon, shadow camera is fitted around the rendered terrain in every frame,
+// they are off by default so scenes shared before the shadows look the same
+const shadows = Object.assign( { enabled: false, resolution: 2048 }, default_params( shadow_params ) );
+const shadow_box = new THREE.Box3();
+setup_shadow( directional_light, shadows );
+
+// distance fog and height fog layered in valleys, both are off by default so scenes shared
+// before the fog look the same, the fog is set up together with the gui
+const atmosphere = Object.assign( { fog: 'off' }, default_params( fog_params ) );
+
+// legend of biome colors shown over the scene while the terrain shows biomes
+const biome_legend = document.getElementById( 'biome_legend' );
+biomes.forEach( function( biome ) {
+    const item = document.createElement( 'div' );
+    const swatch = document.createElement( 'span' );
+    swatch.style.backgroundColor = '#' + new THREE.Color( biome.color ).getHexString();
+    item.appendChild( swatch );
+    item.appendChild( document.createTextNode( biome.name ) );
+    biome_legend.appendChild( item );
+} );
 
 // TERRAIN CLASS ============================================================================
 /** "Class" representing and handling terrain */
 class Terrain {
     /** Object constructor */
-    constructor( two_exponent, max_height, roughness, terrain_color, water_color ) {
+    constructor( two_exponent, seed, algorithm, params, terrain_color, water_color, sky_color ) {
         // exponent of two
         this.two_exponent = two_exponent;
-        // maximal height for generating corners of heightmap
-        this.max_height = max_height;
-        // terrain roughness
-        this.roughness = roughness;
+        // seed of the random number generator
+        this.seed = seed;
+
+        // generation algorithm ( key of the generator registry ) and parameters of every
+        // algorithm, so switching between algorithms keeps their settings
+        this.algorithm = algorithm;
+        this.algorithm_params = {};
+        for ( const key in generators )
+            this.algorithm_params[key] = default_params( generators[key].params );
+        Object.assign( this.algorithm_params[algorithm], params );
+
+        // hydraulic erosion applied to the height map before it is turned into geometry
+        this.hydraulic = default_params( hydraulic_params );
+        this.hydraulic.enabled = false;
+
+        // thermal erosion ( talus smoothing ) applied after hydraulic erosion
+        this.thermal = default_params( thermal_params );
+
+        // river channels carved where enough water drains through the height map
+        this.rivers = default_params( river_params );
+        this.rivers.enabled = false;
+
+        // closed basins of the height map filled with water up to their spill level
+        this.lakes = default_params( lake_params );
+        this.lakes.enabled = false;
+
+        // horizon based ambient occlusion computed with the height map, it darkens light
+        // of the sky in crevices and can be baked into vertex colors of the exported scene
+        this.occlusion = default_params( occlusion_params );
+        this.occlusion.enabled = false;
+        this.occlusion_strength = 1;
 
         // default colors for terrain and water
         this.default_colors = {
@@ -170,69 +127,315 @@ class Terrain {
             water: water_color
         };
 
-        // textures for terrain and water
-        const tex_loader = new THREE.TextureLoader();
-        this.textures = {
-            none: null,
-            dirt: tex_loader.load( 'textures/dirt.jpg',
-                        function ( texture ) {
-                            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                            texture.offset.set( 0, 0 );
-                            texture.repeat.set( 25, 25 );
-                        }),
-            rock: tex_loader.load( 'textures/rock.jpg',
-                        function ( texture ) {
-                            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                            texture.offset.set( 0, 0 );
-                            texture.repeat.set( 25, 25 );
-                        }),
-            grass: tex_loader.load( 'textures/grass.jpg',
-                        function ( texture ) {
-                            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                            texture.offset.set( 0, 0 );
-                            texture.repeat.set( 25, 25 );
-                        }),
-            snow: tex_loader.load( 'textures/snow.jpg',
-                        function ( texture ) {
-                            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                            texture.offset.set( 0, 0 );
-                            texture.repeat.set( 25, 25 );
-                        }),
-            water: tex_loader.load( 'textures/water.png',
-                        function ( texture ) {
-                            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                            texture.offset.set( 0, 0 );
-                            texture.repeat.set( 10, 10 );
-                        }),
-        }
+        const self = this;
+
+        // textures for terrain and water listed in the texture manifest, missing files are
+        // replaced by fallback textures and reported in gui, uploaded textures are added later,
+        // every texture has its normal and occlusion/roughness/metalness maps used by PBR material
+        this.texture_entries = texture_manifest.slice();
+        this.texture_status = 'ok';
+        this.missing_textures = [];
+        const loaded = load_textures( texture_manifest, function( file ) {
+            self.missing_textures.push( file );
+            self.texture_status = 'missing ' + self.missing_textures.join( ', ' ) + ' ( fallback used )';
+            console.log( 'texture ' + file + ' could not be loaded' );
+        } );
+        this.textures = loaded.textures;
+        this.textures.none = null;
+        this.texture_maps = loaded.maps;
+        this.uploaded_count = 0;
+
+        // repeat, offset and rotation of every texture, manifest repeats are the defaults
+        this.tiling = {};
+        texture_manifest.forEach( function( entry ) {
+            self.tiling[entry.key] = default_tiling( entry.repeat );
+        } );
+
+        // terrain root group lays the terrain plane flat, the terrain mesh and everything placed
+        // on it ( rivers, scattered objects, chunks and patches ) is its child, so they share
+        // local coordinates of the height map and rotate together
+        this.root = new THREE.Group();
+        this.root.name = 'terrain';
+        this.root.rotateX( -Math.PI/2 );
+        this.root.position.x = -25;
+        this.root.position.z = -5;
+        scene.add( this.root );
 
         // water plane mesh, its initialization and add to scene
         this.water_mesh = new THREE.Mesh( new THREE.PlaneGeometry( 100, 100 ),
                                           new THREE.MeshPhongMaterial({
                                                 color: this.default_colors.water,
+                                                specular: 0x666666,
+                                                shininess: 80,
                                                 opacity: 0.75,
                                                 transparent: true,
                                                 side: THREE.DoubleSide }));
         this.water_mesh.rotateX( -Math.PI/2 );
         this.water_mesh.position.x = -25;
         this.water_mesh.position.z = -5;
+        this.water_mesh.receiveShadow = true;
         scene.add( this.water_mesh );
 
-        // terrain material is set separately to prevent its change when terrain is regenerated
-        this.terrain_material = new THREE.MeshPhongMaterial({
+        // ribbons of the carved rivers share the water material
+        this.river_mesh = new THREE.Mesh( new THREE.BufferGeometry(), this.water_mesh.material );
+        this.river_mesh.name = 'rivers';
+        this.river_mesh.receiveShadow = true;
+        this.root.add( this.river_mesh );
+
+        // every lake has its own mesh sharing the water material, lake meshes are lifted
+        // to their level along z of the terrain root
+        this.lake_group = new THREE.Group();
+        this.lake_group.name = 'lakes';
+        this.root.add( this.lake_group );
+
+        // animated waves, reflection of the sky color and foam along the shore, ripples use
+        // normal map of the water texture ( loaded from its file or derived from its image )
+        this.water = default_params( water_params );
+        this.water_uniforms = create_water_uniforms( this.water, new THREE.Color( sky_color ), camera,
+                                                     this.texture_maps.water.normal );
+        add_waves( this.water_mesh.material, this.water_uniforms );
+        add_height_fog( this.water_mesh.material );
+
+        // terrain material is set separately to prevent its change when terrain is regenerated,
+        // Phong or physically based material is used, terrain material is the current one
+        this.materials = {
+            phong: new THREE.MeshPhongMaterial({
                                         color: this.default_colors.terrain,
                                         specular:0x222222,
                                         shininess: 5,
                                         map: this.textures.none,
                                         wireframe: true,
                                         side: THREE.DoubleSide,
-                                });
+                                }),
+            pbr: new THREE.MeshStandardMaterial({
+                                        color: this.default_colors.terrain,
+                                        roughness: 1,
+                                        metalness: 0,
+                                        wireframe: true,
+                                        side: THREE.DoubleSide,
+                                })
+        };
+        this.material_model = 'phong';
+        this.terrain_material = this.materials.phong;
+        this.wireframe = true;
+        // key of the terrain texture, it is applied again when the material changes
+        this.terrain_texture = 'none';
+
+        // splatting blends grass, rock and snow textures by terrain height and slope,
+        // it is turned on by choosing 'splat' texture
+        this.splat = default_params( splat_params );
+        this.splat_uniforms = create_splat_uniforms( this.textures, this.splat );
+        add_splatting( this.materials.phong, this.splat_uniforms );
+        add_splatting( this.materials.pbr, this.splat_uniforms );
+        add_height_fog( this.materials.phong );
+        add_height_fog( this.materials.pbr );
+
+        // triplanar mapping projects terrain textures along all three axes, so they are not
+        // stretched on steep slopes, higher sharpness narrows blending of the projections
+        this.triplanar = false;
+        this.triplanar_sharpness = 4;
+
+        // color ramp stops { height, color } used by elevation tinting ( 'ramp' texture )
+        this.color_ramp = default_color_ramp();
+
+        // biomes classified by temperature and moisture ( 'biome' texture ), the map and its
+        // texture are computed when they are needed and thrown away when they are outdated
+        this.biome = default_params( biome_params );
+        this.biome_map = null;
+        this.biome_texture = null;
+
+        // biomes are classified in worker one job at a time, version grows whenever the map
+        // gets outdated, so results of older jobs are recognized and classified again
+        this.biome_worker = this.create_biome_worker();
+        this.biome_version = 0;
+        this.biome_job = null;
+        // callbacks waiting for the current map ( e.g. the biome map export )
+        this.biome_waiting = [];
+
+        // trees, bushes and rocks placed by slope, altitude and distance from water, every
+        // category is one instanced mesh, the objects stand along z of the terrain root
+        this.scatter = default_params( scatter_params );
+        this.scatter.enabled = false;
+        this.scatter_geometries = create_scatter_geometries();
+        this.scatter_material = new THREE.MeshPhongMaterial({
+                                        vertexColors: true,
+                                        flatShading: true,
+                                        shininess: 5,
+                                        specular: 0x111111 });
+        add_height_fog( this.scatter_material );
+        this.scatter_group = new THREE.Group();
+        this.scatter_group.name = 'scatter';
+        this.root.add( this.scatter_group );
+
+        // instanced meshes by category keys are kept and refilled, new mesh is created only
+        // when the objects do not fit, objects are placed in worker one job at a time and
+        // version grows whenever the placement gets outdated
+        this.scatter_meshes = {};
+        this.scatter_worker = this.create_scatter_worker();
+        this.scatter_version = 0;
+        this.scatter_job = null;
+
+        // terrain mesh keeps its material, generation only swaps its geometry
+        this.terrain_mesh = new THREE.Mesh( new THREE.BufferGeometry(), this.terrain_material );
+        this.terrain_mesh.castShadow = true;
+        this.terrain_mesh.receiveShadow = true;
+        this.root.add( this.terrain_mesh );
+
+        // infinite terrain streamed in chunks around the camera target, it replaces the terrain
+        // mesh when it is turned on
+        this.infinite = false;
+        this.chunk_group = new THREE.Group();
+        this.chunk_group.visible = false;
+        this.root.add( this.chunk_group );
+
+        this.chunk_manager = new ChunkManager( this.chunk_group, this.terrain_material,
+                                               function( geometry ) { self.prepare_geometry( geometry ); } );
+
+        // quadtree of patches with detail chosen by camera distance, it replaces the terrain
+        // mesh when it is turned on so high detail height maps stay interactive
+        this.lod_enabled = false;
+        this.lod_group = new THREE.Group();
+        this.lod_group.visible = false;
+        this.root.add( this.lod_group );
+
+        this.lod = new QuadtreeLOD( this.lod_group, this.terrain_material,
+                                    function( geometry ) { self.prepare_geometry( geometry ); } );
+
+        // last generated height map and the same map before thermal erosion,
+        // which can be shown instead to compare the result
+        this.height_map = null;
+        this.height_map_before = null;
+        this.show_before = false;
+        // ambient occlusion, river ribbons and lake surfaces of the last generated height map or null
+        this.occlusion_map = null;
+        this.river_ribbons = null;
+        this.lake_surfaces = null;
+
+        // brush stroke { target, perm, region } in progress, it edits the height map
+        // and the terrain mesh directly
+        this.stroke = null;
+
+        // imported height map { width, height, heights } used instead of the generator,
+        // its normalized heights are mapped to interval ( import_min, import_max )
+        this.imported = null;
+        this.import_min = 0;
+        this.import_max = 40;
+
+        // height map is generated in worker so the rendering is not blocked,
+        // job id is used to recognize results of outdated jobs
+        this.worker = null;
+        this.job_id = 0;
+        this.job_running = false;
+        // generation progress shown in gui
+        this.status = 'ready';
+
+        this.update_occlusion();
 
         // initial terrain generation
-        this.terrain_mesh;
         this.generate();
     }
 
+    /**
+     * Creates generation worker and sets handling of its messages
+     * @returns worker generating height maps
+     */
+    create_worker() {
+        const worker = new Worker( new URL( './generation_worker.js', import.meta.url ), { type: 'module' } );
+        const self = this;
+
+        worker.onmessage = function( event ) {
+            const message = event.data;
+
+            // results of outdated jobs are thrown away
+            if ( message.id !== self.job_id )
+                return;
+
+            if ( message.type == 'progress' ) {
+                self.status = message.stage + ' ' + Math.round( message.progress*100 ) + ' %';
+            } else if ( message.type == 'done' ) {
+                self.job_running = false;
+                self.status = 'ready';
+                self.height_map = message.height_map;
+                self.height_map_before = message.before;
+                self.occlusion_map = message.occlusion;
+                self.river_ribbons = message.rivers;
+                self.lake_surfaces = message.lakes;
+                self.build();
+            }
+        };
+
+        worker.onerror = function( error ) {
+            self.job_running = false;
+            self.status = 'failed';
+            console.log( error );
+        };
+
+        return worker;
+    }
+
+    /**
+     * Creates worker classifying biomes, the texture of the current biome map replaces
+     * the shown one when it is done
+     * @returns worker classifying biomes
+     */
+    create_biome_worker() {
+        const worker = new Worker( new URL( './biome_worker.js', import.meta.url ), { type: 'module' } );
+        const self = this;
+
+        worker.onmessage = function( event ) {
+            const message = event.data;
+            self.biome_job = null;
+
+            if ( message.id === self.biome_version ) {
+                self.biome_map = message.biome_map;
+                if ( self.biome_texture !== null )
+                    self.biome_texture.dispose();
+                self.biome_texture = create_biome_texture( self.biome_map );
+                if ( self.terrain_texture == 'biome' )
+                    self.texture( true, 'biome' );
+
+                const waiting = self.biome_waiting;
+                self.biome_waiting = [];
+                waiting.forEach( function( callback ) { callback( self.biome_map ); } );
+            } else if ( self.terrain_texture == 'biome' || self.biome_waiting.length > 0 ) {
+                self.classify_biomes();
+            }
+        };
+
+        worker.onerror = function( error ) {
+            self.biome_job = null;
+            console.log( error );
+        };
+
+        return worker;
+    }
+
+    /**
+     * Creates worker placing scattered objects, the objects are shown when it is done
+     * @returns worker placing scattered objects
+     */
+    create_scatter_worker() {
+        const worker = new Worker( new URL( './scatter_worker.js', import.meta.url ), { type: 'module' } );
+        const self = this;
+
+        worker.onmessage = function( event ) {
+            const message = event.data;
+            self.scatter_job = null;
+
+            if ( message.id === self.scatter_version )
+                self.show_scatter( message.placed );
+            else
+                self.place_scatter();
+        };
+
+        worker.onerror = function( error ) {
+            self.scatter_job = null;
+            console.log( error );
+        };
+
+        return worker;
+    }
+
     /**
      * Applies given texture to the terrain mesh material
      * @param { bool } terrain: states whether to change terrain or water texture
@@ -240,14 +443,202 @@ class Terrain {
      */
     texture( terrain, name ) {
         if ( terrain ) {
-            this.terrain_mesh.material.map = this.textures[name];
+            // splat material blends its own textures and elevation tinting uses vertex colors
+            // instead of single map
+            if ( name == 'splat' ) {
+                this.terrain_mesh.material.map = null;
+                this.terrain_mesh.material.defines.USE_SPLAT = '';
+            } else if ( name == 'biome' ) {
+                if ( this.biome_map === null )
+                    this.classify_biomes();
+                this.terrain_mesh.material.map = this.biome_texture;
+                delete this.terrain_mesh.material.defines.USE_SPLAT;
+            } else {
+                this.terrain_mesh.material.map = ( name == 'ramp' ) ? null : this.textures[name];
+                delete this.terrain_mesh.material.defines.USE_SPLAT;
+            }
+            // biome colors must match the legend, so the material color does not tint them
+            if ( name == 'biome' )
+                this.terrain_mesh.material.defines.USE_BIOME = '';
+            else
+                delete this.terrain_mesh.material.defines.USE_BIOME;
+            // triplanar mapping samples the map with the map's own tiling
+            if ( this.terrain_mesh.material.map !== null )
+                this.splat_uniforms.map_transform.value = this.terrain_mesh.material.map.matrix;
+            this.terrain_mesh.material.vertexColors = ( name == 'ramp' );
+
+            // physically based material gets also normal and occlusion/roughness/metalness
+            // maps of the texture, one packed map serves all three channels like in glTF
+            if ( this.terrain_material.isMeshStandardMaterial ) {
+                const maps = ( this.terrain_mesh.material.map !== null ) ? this.texture_maps[name] : null;
+                this.terrain_material.normalMap = maps ? maps.normal : null;
+                this.terrain_material.aoMap = maps ? maps.orm : null;
+                this.terrain_material.roughnessMap = maps ? maps.orm : null;
+                this.terrain_material.metalnessMap = maps ? maps.orm : null;
+            }
+
+            this.terrain_texture = name;
             this.terrain_mesh.material.needsUpdate = true;
+            biome_legend.style.display = ( name == 'biome' ) ? 'block' : 'none';
+            this.update_colors();
         } else {
             this.water_mesh.material.map = this.textures[name];
             this.water_mesh.material.needsUpdate = true;
         }
     }
 
+    /**
+     * Adds texture uploaded by user to the textures offered for the surface
+     * @param { string } name: gui name of the texture ( e.g. file name )
+     * @param { THREE.Texture } texture: loaded texture
+     * @param { string } surface: surface the texture is offered for ( 'terrain' or 'water' )
+     * @returns key of the new texture
+     */
+    add_texture( name, texture, surface ) {
+        this.uploaded_count++;
+        const key = 'upload_' + this.uploaded_count;
+        this.textures[key] = texture;
+        this.texture_maps[key] = create_material_maps( texture.repeat.x );
+        derive_material_maps( this.texture_maps[key], texture.image );
+        this.tiling[key] = default_tiling( texture.repeat.x );
+        this.texture_entries.push({ key: key, name: name, surface: surface });
+
+        return key;
+    }
+
+    /** Copies splatting settings to the material uniforms */
+    update_splat() {
+        for ( const key in this.splat )
+            this.splat_uniforms[key].value = this.splat[key];
+    }
+
+    /**
+     * Applies tiling of the texture to the texture and to its material maps
+     * @param { string } key: key of the texture
+     */
+    update_tiling( key ) {
+        apply_tiling( this.textures[key], this.tiling[key] );
+        apply_tiling( this.texture_maps[key].normal, this.tiling[key] );
+        apply_tiling( this.texture_maps[key].orm, this.tiling[key] );
+    }
+
+    /** Turns triplanar mapping of both terrain materials on or off */
+    update_triplanar() {
+        this.splat_uniforms.triplanar_sharpness.value = this.triplanar_sharpness;
+
+        for ( const key in this.materials ) {
+            const material = this.materials[key];
+            if ( this.triplanar !== ( 'USE_TRIPLANAR' in material.defines ) ) {
+                if ( this.triplanar )
+                    material.defines.USE_TRIPLANAR = '';
+                else
+                    delete material.defines.USE_TRIPLANAR;
+                material.needsUpdate = true;
+            }
+        }
+    }
+
+    /** Copies water surface settings to the material uniforms */
+    update_water() {
+        for ( const key in this.water )
+            this.water_uniforms[key].value = this.water[key];
+    }
+
+    /**
+     * Switches terrain between Phong and physically based material, color and texture
+     * of the surface are moved to the new material
+     */
+    update_material() {
+        const material = this.materials[this.material_model];
+        material.color.copy( this.terrain_material.color );
+        this.terrain_material = material;
+
+        this.terrain_mesh.material = material;
+        this.chunk_manager.set_material( material );
+        this.lod.set_material( material );
+        this.texture( true, this.terrain_texture );
+    }
+
+    /**
+     * Gets world bounding box of the rendered terrain ( single mesh, chunks or patches )
+     * @param { THREE.Box3 } box: box to be set
+     * @returns the box
+     */
+    bounds( box ) {
+        if ( this.infinite )
+            return box.setFromObject( this.chunk_group );
+
+        return box.setFromObject( this.lod_enabled ? this.lod_group : this.terrain_mesh );
+    }
+
+    /** Copies wireframe setting to both terrain materials */
+    update_wireframe() {
+        this.materials.phong.wireframe = this.wireframe;
+        this.materials.pbr.wireframe = this.wireframe;
+    }
+
+    /**
+     * Calls function for geometry of the terrain mesh, of all terrain chunks and of all patches
+     * @param { function } callback: function receiving terrain geometry
+     */
+    for_each_geometry( callback ) {
+        callback( this.terrain_mesh.geometry );
+        this.chunk_manager.for_each_geometry( callback );
+        this.lod.for_each_geometry( callback );
+    }
+
+    /** Colors vertices of the terrain mesh, of all terrain chunks and of all patches */
+    update_colors() {
+        this.for_each_geometry( this.prepare_geometry.bind( this ) );
+    }
+
+    /**
+     * Turns ambient occlusion of both terrain materials on or off, geometries without
+     * computed occlusion ( e.g. chunks ) are prepared again so they are not darkened
+     */
+    update_occlusion() {
+        this.splat_uniforms.occlusion_strength.value = this.occlusion_strength;
+
+        for ( const key in this.materials ) {
+            const material = this.materials[key];
+            if ( this.occlusion.enabled !== ( 'USE_OCCLUSION' in material.defines ) ) {
+                if ( this.occlusion.enabled )
+                    material.defines.USE_OCCLUSION = '';
+                else
+                    delete material.defines.USE_OCCLUSION;
+                material.needsUpdate = true;
+            }
+        }
+
+        this.update_colors();
+    }
+
+    /**
+     * Prepares terrain geometry for the material, ambient occlusion map needs second texture
+     * coordinates ( the same as the first ones ), terrain vertices are colored by color ramp
+     * when elevation tinting is used, otherwise the colors are removed so they are not
+     * exported with the terrain, geometry without ambient occlusion is fully visible
+     * @param { THREE.BufferGeometry } geometry: geometry of the terrain mesh, chunk or patch
+     */
+    prepare_geometry( geometry ) {
+        if ( !geometry.hasAttribute( 'position' ) )
+            return;
+
+        if ( !geometry.hasAttribute( 'uv2' ) )
+            geometry.setAttribute( 'uv2', geometry.getAttribute( 'uv' ) );
+
+        if ( this.occlusion.enabled && !geometry.hasAttribute( 'occlusion' ) ) {
+            const count = geometry.getAttribute( 'position' ).count;
+            const visible = new Float32Array( count ).fill( 1 );
+            geometry.setAttribute( 'occlusion', new THREE.BufferAttribute( visible, 1 ) );
+        }
+
+        if ( this.terrain_material.vertexColors )
+            apply_color_ramp( geometry, this.color_ramp );
+        else if ( geometry.hasAttribute( 'color' ) )
+            geometry.deleteAttribute( 'color' );
+    }
+
     /** Sets the color of terrain mesh to default/initialization value */
     default_terrain_color() {
         this.terrain_mesh.material.color.set( this.default_colors.terrain );
@@ -258,17 +649,155 @@ class Terrain {
         this.water_mesh.material.color.set( this.default_colors.water );
     }
 
-    /** Generates terrain and puts it in the scene */
+    /**
+     * Starts generation of terrain height map in worker, job which is still running
+     * is cancelled by terminating its worker because its result would be outdated,
+     * chunks of infinite terrain are generated again with the new settings
+     */
     generate() {
-        scene.remove( this.terrain_mesh );
+        this.chunk_manager.configure({
+            algorithm: this.algorithm,
+            seed: this.seed,
+            params: this.algorithm_params[this.algorithm]
+        });
+
+        if ( this.worker === null || this.job_running ) {
+            if ( this.worker !== null )
+                this.worker.terminate();
+            this.worker = this.create_worker();
+        }
+
+        this.job_id++;
+        this.job_running = true;
+        this.status = 'generating 0 %';
+        this.worker.postMessage({
+            id: this.job_id,
+            two_exponent: this.two_exponent,
+            seed: this.seed,
+            algorithm: this.algorithm,
+            params: this.algorithm_params[this.algorithm],
+            imported: this.imported,
+            import_min: this.import_min,
+            import_max: this.import_max,
+            hydraulic: this.hydraulic,
+            thermal: this.thermal,
+            rivers: this.rivers,
+            lakes: this.lakes,
+            occlusion: this.occlusion,
+            cell_size: 100/Math.pow( 2, this.two_exponent )
+        });
+    }
+
+    /**
+     * Replaces the generator by imported height map, detail is set to the grid
+     * closest to the resolution of the imported map
+     * @param { Object } height_map: decoded height map { width, height, heights }
+     */
+    import_heightmap( height_map ) {
+        this.imported = height_map;
+        this.two_exponent = nearest_exponent( height_map.width, height_map.height );
+        this.generate();
+    }
+
+    /** Stops using imported height map and generates terrain by the generator again */
+    use_generator() {
+        this.imported = null;
+        this.generate();
+    }
+
+    /**
+     * Switches between the terrain mesh and infinite terrain, chunks are removed when
+     * the infinite terrain is turned off and water gets back its original placement
+     */
+    update_infinite() {
+        this.update_visibility();
+
+        if ( !this.infinite ) {
+            this.chunk_manager.reset();
+            this.water_mesh.position.x = -25;
+            this.water_mesh.position.z = -5;
+            this.water_mesh.scale.set( 1, 1, 1 );
+        }
+    }
+
+    /**
+     * Switches between the terrain mesh and patches of different detail, the height map
+     * is built again for the chosen one and patches are removed when they are turned off
+     */
+    update_lod() {
+        if ( !this.lod_enabled )
+            this.lod.clear();
+        this.update_visibility();
+        this.build();
+    }
+
+    /** Shows infinite terrain, patches of different detail or the terrain mesh */
+    update_visibility() {
+        this.chunk_group.visible = this.infinite;
+        this.lod_group.visible = !this.infinite && this.lod_enabled;
+        this.terrain_mesh.visible = !this.infinite && !this.lod_enabled;
+        this.river_mesh.visible = !this.infinite;
+        this.lake_group.visible = !this.infinite;
+        this.scatter_group.visible = !this.infinite;
+    }
+
+    /**
+     * Chooses detail of terrain patches by the camera distance
+     * @param { THREE.Vector3 } position: camera position in world coordinates
+     */
+    refine( position ) {
+        this.lod_group.updateWorldMatrix( true, false );
+        this.lod.update( this.lod_group.worldToLocal( position.clone() ) );
+    }
+
+    /**
+     * Loads chunks of infinite terrain around the target and moves water plane under
+     * the central chunk so it covers all loaded chunks
+     * @param { THREE.Vector3 } target: target of the camera controls in world coordinates
+     */
+    stream( target ) {
+        this.chunk_group.updateWorldMatrix( true, false );
+        this.chunk_manager.update( this.chunk_group.worldToLocal( target.clone() ) );
+
+        const center = this.chunk_manager.center;
+        const position = this.chunk_group.localToWorld(
+                            new THREE.Vector3( center.x*chunk_side, center.y*chunk_side, 0 ) );
+        const scale = 2*this.chunk_manager.view_distance + 1;
+        this.water_mesh.position.x = position.x;
+        this.water_mesh.position.z = position.z;
+        this.water_mesh.scale.set( scale, scale, 1 );
+    }
+
+    /**
+     * Builds terrain geometry from the current height map ( or from the map before thermal
+     * erosion when it is chosen to be shown ) and puts it in the terrain mesh
+     */
+    build() {
+        if ( this.height_map === null )
+            return;
+
+        const height_map = ( this.show_before && this.height_map_before !== null ) ? this.height_map_before
+                                                                                   : this.height_map;
+        // occlusion, rivers and lakes belong to the final height map
+        const occlusion = ( height_map === this.height_map ) ? this.occlusion_map : null;
+        this.build_rivers( ( height_map === this.height_map ) ? this.river_ribbons : null );
+        this.build_lakes( ( height_map === this.height_map ) ? this.lake_surfaces : null );
+        this.update_biomes();
+        this.update_scatter();
+
+        // patches are built from the height map when they are needed, so the full
+        // geometry is not created at all
+        if ( this.lod_enabled ) {
+            this.lod.set_height_map( height_map, occlusion );
+            this.terrain_mesh.geometry.dispose();
+            this.terrain_mesh.geometry = new THREE.BufferGeometry();
+            return;
+        }
 
         // create plane geometry
-        const size = Math.pow( 2, this.two_exponent );
+        const size = Math.round( Math.sqrt( height_map.length ) ) - 1;
         const terrain_geometry = new THREE.PlaneGeometry( 100, 100, size, size );
 
-        // generate height map
-        const height_map = diamond_square( this.two_exponent, this.roughness, this.max_height );
-
         // get plane vertices
         const vertices = terrain_geometry.getAttribute( 'position' );
         const vertex = new THREE.Vector3();
@@ -282,17 +811,305 @@ class Terrain {
         // compute the vertices normals for correct light refraction
         terrain_geometry.computeVertexNormals();
 
-        // create terrain mesh
-        this.terrain_mesh = new THREE.Mesh( terrain_geometry, this.terrain_material );
+        if ( occlusion !== null )
+            terrain_geometry.setAttribute( 'occlusion', new THREE.BufferAttribute( occlusion, 1 ) );
+
+        // replace old geometry and free its memory
+        this.terrain_mesh.geometry.dispose();
+        this.terrain_mesh.geometry = terrain_geometry;
+        this.update_colors();
+    }
+
+    /**
+     * Puts river ribbons generated with the height map in the river mesh
+     * @param { Object } ribbons: ribbon geometry arrays { positions, uvs, indices } or null
+     */
+    build_rivers( ribbons ) {
+        const geometry = new THREE.BufferGeometry();
+        if ( ribbons !== null ) {
+            geometry.setAttribute( 'position', new THREE.BufferAttribute( ribbons.positions, 3 ) );
+            geometry.setAttribute( 'uv', new THREE.BufferAttribute( ribbons.uvs, 2 ) );
+            geometry.setIndex( new THREE.BufferAttribute( ribbons.indices, 1 ) );
+            geometry.computeVertexNormals();
+        }
+
+        this.river_mesh.geometry.dispose();
+        this.river_mesh.geometry = geometry;
+    }
+
+    /**
+     * Replaces lake meshes by meshes of the lakes generated with the height map
+     * @param { Array } lakes: lakes { level, area, positions, uvs, indices } or null
+     */
+    build_lakes( lakes ) {
+        while ( this.lake_group.children.length > 0 ) {
+            const mesh = this.lake_group.children[0];
+            this.lake_group.remove( mesh );
+            mesh.geometry.dispose();
+        }
+
+        if ( lakes === null )
+            return;
+
+        lakes.forEach( function( lake, k ) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute( 'position', new THREE.BufferAttribute( lake.positions, 3 ) );
+            geometry.setAttribute( 'uv', new THREE.BufferAttribute( lake.uvs, 2 ) );
+            geometry.setIndex( new THREE.BufferAttribute( lake.indices, 1 ) );
+            geometry.computeVertexNormals();
+
+            const mesh = new THREE.Mesh( geometry, this.water_mesh.material );
+            mesh.name = 'lake_' + k;
+            mesh.position.z = lake.level;
+            mesh.receiveShadow = true;
+            this.lake_group.add( mesh );
+        }, this );
+
+        this.update_lakes();
+    }
+
+    /**
+     * Marks grid points covered by rivers and lakes above the water plane, river ribbons
+     * are marked along their middle line and lakes by all their vertices
+     * @returns array with 1 for wet grid points or null without height map
+     */
+    water_mask() {
+        if ( this.height_map === null )
+            return null;
+
+        const size = Math.round( Math.sqrt( this.height_map.length ) );
+        const cell_size = 100/( size - 1 );
+        const wet = new Uint8Array( this.height_map.length );
+        const mark = function( x, y ) {
+            const i = Math.round( ( 50 - y )/cell_size );
+            const j = Math.round( ( x + 50 )/cell_size );
+            if ( i >= 0 && j >= 0 && i < size && j < size )
+                wet[i*size + j] = 1;
+        };
+
+        if ( this.river_ribbons !== null ) {
+            const positions = this.river_ribbons.positions;
+            for ( var k = 0; k < positions.length; k += 6 )
+                mark( 0.5*( positions[k] + positions[k + 3] ), 0.5*( positions[k + 1] + positions[k + 4] ) );
+        }
+
+        const sea_level = this.water_mesh.position.y;
+        if ( this.lake_surfaces !== null ) {
+            this.lake_surfaces.forEach( function( lake ) {
+                if ( lake.level <= sea_level )
+                    return;
+                for ( var k = 0; k < lake.positions.length; k += 3 )
+                    mark( lake.positions[k], lake.positions[k + 1] );
+            } );
+        }
+
+        return wet;
+    }
+
+    /**
+     * Starts classification of biomes of the final height map in the biome worker unless
+     * it is busy, the texture shown until it is done stays the previous one
+     */
+    classify_biomes() {
+        if ( this.height_map === null || this.biome_job !== null )
+            return;
+
+        const wet = this.water_mask();
+        const height_map = this.height_map.slice();
+        this.biome_job = this.biome_version;
+        this.biome_worker.postMessage({
+            id: this.biome_version,
+            height_map: height_map,
+            water_level: this.water_mesh.position.y,
+            wet: wet,
+            params: Object.assign( {}, this.biome ),
+            seed: this.seed
+        }, [ height_map.buffer, wet.buffer ] );
+    }
+
+    /**
+     * Calls back with the current biome map, the map is classified in the worker first
+     * when it is outdated
+     * @param { function } callback: called with the biome map
+     */
+    with_biomes( callback ) {
+        if ( this.biome_map !== null ) {
+            callback( this.biome_map );
+            return;
+        }
+
+        this.biome_waiting.push( callback );
+        this.classify_biomes();
+    }
+
+    /**
+     * Throws away the outdated biome map, biomes shown on the terrain are classified again
+     * ( e.g. after the height map, water level or biome parameters change )
+     */
+    update_biomes() {
+        this.biome_version++;
+        this.biome_map = null;
+        if ( this.terrain_texture == 'biome' )
+            this.classify_biomes();
+    }
+
+    /**
+     * Places scattered objects on the final height map again ( e.g. after the height map,
+     * water level or densities change ), objects are removed when scattering is off
+     * or the map before thermal erosion is shown, the objects shown until the worker
+     * is done stay the previous ones
+     */
+    update_scatter() {
+        this.scatter_version++;
+        if ( !this.scatter.enabled || this.height_map === null ||
+             ( this.show_before && this.height_map_before !== null ) ) {
+            this.show_scatter( null );
+            return;
+        }
+
+        this.place_scatter();
+    }
+
+    /** Starts placement of scattered objects in the scatter worker unless it is busy */
+    place_scatter() {
+        if ( this.scatter_job !== null || !this.scatter.enabled || this.height_map === null ||
+             ( this.show_before && this.height_map_before !== null ) )
+            return;
+
+        const wet = this.water_mask();
+        const height_map = this.height_map.slice();
+        this.scatter_job = this.scatter_version;
+        this.scatter_worker.postMessage({
+            id: this.scatter_version,
+            height_map: height_map,
+            water_level: this.water_mesh.position.y,
+            wet: wet,
+            params: Object.assign( {}, this.scatter ),
+            seed: this.seed
+        }, [ height_map.buffer, wet.buffer ] );
+    }
+
+    /**
+     * Fills instanced meshes by placed objects, mesh of the category is created again only
+     * when the objects do not fit into it, disposing the mesh frees only its instance
+     * attributes, geometries and material are shared by all meshes
+     * @param { Object } placed: placed objects { matrices, colors, count } by category keys,
+     *                           null removes all objects
+     */
+    show_scatter( placed ) {
+        scatter_categories.forEach( function( category ) {
+            const objects = ( placed !== null ) ? placed[category.key] : null;
+            const count = ( objects !== null ) ? objects.count : 0;
+            var mesh = this.scatter_meshes[category.key];
+
+            if ( mesh !== undefined && count > mesh.instanceMatrix.count ) {
+                this.scatter_group.remove( mesh );
+                mesh.dispose();
+                mesh = undefined;
+            }
+            if ( count == 0 ) {
+                if ( mesh !== undefined )
+                    mesh.count = 0;
+                return;
+            }
+
+            if ( mesh === undefined ) {
+                mesh = new THREE.InstancedMesh( this.scatter_geometries[category.key], this.scatter_material, count );
+                mesh.instanceColor = new THREE.InstancedBufferAttribute( new Float32Array( count*3 ), 3 );
+                mesh.name = category.key;
+                // bounding sphere of the single object does not cover the instances
+                mesh.frustumCulled = false;
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                this.scatter_meshes[category.key] = mesh;
+                this.scatter_group.add( mesh );
+            }
+
+            mesh.count = count;
+            mesh.instanceMatrix.array.set( objects.matrices );
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.array.set( objects.colors );
+            mesh.instanceColor.needsUpdate = true;
+        }, this );
+    }
 
-        // rotate terrain mesh to fit in the scene and add it to scene
-        this.terrain_mesh.rotateX( -Math.PI/2 );
-        scene.add( this.terrain_mesh );
+    /**
+     * States whether the height map can be sculpted, brushes edit the single terrain mesh
+     * ( not chunks or patches ) showing the final height map
+     * @returns true when the terrain mesh can be sculpted
+     */
+    sculptable() {
+        return this.height_map !== null && this.terrain_mesh.visible &&
+               !( this.show_before && this.height_map_before !== null );
+    }
 
-        // set terrain and water to correct position
-        this.terrain_mesh.position.x = -25;
-        this.terrain_mesh.position.z = -5;
-        this.water_mesh.rotation.z = this.terrain_mesh.rotation.z;
+    /**
+     * Starts brush stroke, flatten brush levels the terrain to the height where the stroke
+     * started and noise brush uses noise of the terrain seed
+     * @param { THREE.Vector3 } point: brush center in local coordinates of the terrain mesh
+     */
+    start_stroke( point ) {
+        this.stroke = {
+            target: sample_height( this.height_map, point.x, point.y ),
+            perm: create_permutation( create_random( this.seed ) ),
+            region: null    // grid rectangle changed by the stroke
+        };
+    }
+
+    /**
+     * Applies one step of the brush stroke, only the changed part of the terrain mesh is updated
+     * @param { THREE.Vector3 } point: brush center in local coordinates of the terrain mesh
+     * @param { Object } brush: brush type and values of brush_params
+     * @param { number } delta: duration of the step in seconds
+     */
+    sculpt( point, brush, delta ) {
+        const region = apply_brush( this.height_map, point.x, point.y, brush, delta, this.stroke );
+        if ( region === null )
+            return;
+        update_region( this.terrain_mesh.geometry, this.height_map, region );
+
+        const changed = this.stroke.region;
+        this.stroke.region = ( changed === null ) ? region : {
+            i0: Math.min( changed.i0, region.i0 ),
+            j0: Math.min( changed.j0, region.j0 ),
+            i1: Math.max( changed.i1, region.i1 ),
+            j1: Math.max( changed.j1, region.j1 )
+        };
+    }
+
+    /**
+     * Finishes brush stroke, ambient occlusion around the changed part, bounds of the mesh,
+     * elevation colors, biomes and scattered objects follow the new heights, rivers and
+     * lakes keep their shape until the terrain is generated again
+     */
+    end_stroke() {
+        const region = this.stroke.region;
+        this.stroke = null;
+        if ( region === null )
+            return;
+
+        const geometry = this.terrain_mesh.geometry;
+        geometry.computeBoundingSphere();
+        if ( geometry.boundingBox !== null )
+            geometry.computeBoundingBox();
+
+        if ( this.occlusion_map !== null && geometry.hasAttribute( 'occlusion' ) ) {
+            const size = Math.round( Math.sqrt( this.height_map.length ) );
+            update_occlusion_region( this.occlusion_map, this.height_map, 100/( size - 1 ), this.occlusion, region );
+            geometry.getAttribute( 'occlusion' ).needsUpdate = true;
+        }
+
+        this.update_colors();
+        this.update_biomes();
+        this.update_scatter();
+    }
+
+    /** Hides lakes below the water plane, they would be drawn through the sea */
+    update_lakes() {
+        const sea_level = this.water_mesh.position.y;
+        this.lake_group.children.forEach( function( mesh ) {
+            mesh.visible = mesh.position.z > sea_level;
+        } );
     }
 }
 
@@ -301,59 +1118,344 @@ class Terrain {
 const init_colors = {
     terrain: 0xf765b8,
     water: 0x27fdf5,
+    sky: 0x9cc4e4,
+    fog: 0x000000
+}
+
+/**
+ * Picks random seed for a new terrain
+ * @returns random 32-bit unsigned integer
+ */
+function random_seed() {
+    return Math.floor( Math.random()*4294967296 );
 }
 
 // initializating gui
 const gui = new GUI();
 gui.close();
 
+// state shared through the URL hash, terrain is created directly with the stored
+// parameters so it is not generated twice, the rest is applied after gui setup
+const init_state = read_state();
+
 // creating terrain object and settings object used by gui
-const terrain = new Terrain( 8, 0, 30, init_colors.terrain, init_colors.water );
+// without stored seed it is random so every page load shows a new terrain
+const init_algorithm = state_algorithm( init_state, 'diamond_square' );
+const terrain = new Terrain( state_number( init_state, 'detail', 8, 0, 10, true ),
+                             state_number( init_state, 'seed', random_seed(), 0, 4294967295, true ),
+                             init_algorithm,
+                             state_params( init_state, generators[init_algorithm].params,
+                                           default_params( generators[init_algorithm].params ) ),
+                             init_colors.terrain, init_colors.water, init_colors.sky );
 const settings = {
     terrain_texture: 'none',    // terrain texture setting, initiali set to none ( plain )
     water_texture: 'none',      // water texture setting, initiali set to none ( plain )
     terrain_color: init_colors.terrain,     // terrain color setting, set to initial color value
     water_color: init_colors.water,         // water color setting, set to initial color value
+    sky_color: init_colors.sky,             // color of the sky reflected by water
+    fog_color: init_colors.fog,             // color of the fog and background without the sky
+    bake_occlusion: true,       // ambient occlusion is baked into vertex colors of the exported scene
+    terrain_tiling: 'dirt',     // terrain texture whose tiling is edited
+    water_tiling: 'water',      // water texture whose tiling is edited
     animation: true,    // animation/rotation switch
     speed: 0.001,       // animation/rotation speed
-    download: function() { download_scene() }   // downloads the terrain in .glb format
+    download: function() { download_scene() },  // downloads the terrain in .glb format
+    export_heightmap: function() { export_heightmap() },     // downloads the height map files in one archive
+    export_biomes: function() { export_biome_map() },       // downloads the biome map as indexed png
+    load_heightmap: function() { file_input.click() },      // opens dialog for height map import
+    upload_terrain_texture: function() { open_texture_dialog( true ) },     // adds terrain texture
+    upload_water_texture: function() { open_texture_dialog( false ) }       // adds water texture
 }
 
+// sculpting mode and brush, left mouse button on the terrain sculpts instead of rotating the camera
+const sculpt = Object.assign( { enabled: false, brush: 'raise' }, default_params( brush_params ) );
+
 // GUI SETUP ================================================================================
 // terrain folder containing options regarding terrain
 const terrain_folder = gui.addFolder( 'Terrain Properties' );
 
+// generation algorithm, its parameters are in algorithm folder ( dropdown )
+const algorithm_names = {};
+for ( const key in generators )
+    algorithm_names[generators[key].name] = key;
+
+terrain_folder.add( terrain, 'algorithm', algorithm_names )
+              .name( 'Algorithm' )
+              .onChange( function() {
+                    rebuild_algorithm_folder();
+                    terrain.generate();
+                } );
+
 // terrain detail ( the exponent of two ) ( slider )
 terrain_folder.add( terrain, 'two_exponent', 0, 10, 1 )
               .name( 'Detail' )
               .onChange( function() { terrain.generate(); } );
 
-// max height of terrains initial corners ( slider )
-terrain_folder.add( terrain, 'max_height', 0, 50, 0.1 )
-              .name( 'Height' )
+// seed of the terrain, the same seed gives the same terrain ( number field )
+terrain_folder.add( terrain, 'seed' )
+              .min( 0 ).max( 4294967295 ).step( 1 )
+              .name( 'Seed' )
               .onChange( function() { terrain.generate(); } );
 
-// terrain roughness ( slider )
-terrain_folder.add( terrain, 'roughness', 2, 100, 0.1 )
-              .name( 'Roughness' )
+// thermal erosion iterations and talus angle, slopes steeper than the angle crumble ( sliders )
+thermal_params.forEach( function( param ) {
+    terrain_folder.add( terrain.thermal, param.key, param.min, param.max, param.step )
+                  .name( param.name )
+                  .onChange( function() { terrain.generate(); } );
+} );
+
+// shows terrain before thermal erosion to compare it with the result ( checkbox )
+terrain_folder.add( terrain, 'show_before' )
+              .name( 'Before Thermal' )
+              .onChange( function() { terrain.build(); } );
+
+// progress of the terrain generation running in background ( read-only text )
+const progress_controller = terrain_folder.add( terrain, 'status' ).name( 'Progress' ).listen();
+progress_controller.domElement.querySelector( 'input' ).readOnly = true;
+
+// algorithm folder containing parameters of the chosen generation algorithm
+const algorithm_folder = gui.addFolder( 'Algorithm' );
+
+/** Replaces controllers of algorithm folder by parameters of the chosen algorithm ( sliders ) */
+function rebuild_algorithm_folder() {
+    algorithm_folder.__controllers.slice().forEach( function( controller ) {
+        algorithm_folder.remove( controller );
+    } );
+
+    generators[terrain.algorithm].params.forEach( function( param ) {
+        algorithm_folder.add( terrain.algorithm_params[terrain.algorithm], param.key,
+                              param.min, param.max, param.step )
+                        .name( param.name )
+                        .onChange( function() { terrain.generate(); } )
+                        .onFinishChange( save_state );
+    } );
+}
+
+rebuild_algorithm_folder();
+
+// erosion folder containing options of hydraulic erosion
+const erosion_folder = gui.addFolder( 'Hydraulic Erosion' );
+
+// toggles hydraulic erosion ( checkbox )
+erosion_folder.add( terrain.hydraulic, 'enabled' )
+              .name( 'Enabled' )
               .onChange( function() { terrain.generate(); } );
 
+// parameters of the droplet simulation ( sliders ), they regenerate terrain only when erosion is on
+hydraulic_params.forEach( function( param ) {
+    erosion_folder.add( terrain.hydraulic, param.key, param.min, param.max, param.step )
+                  .name( param.name )
+                  .onChange( function() { if ( terrain.hydraulic.enabled ) terrain.generate(); } );
+} );
+
+// rivers folder containing options of the drainage network carved into the height map
+const rivers_folder = gui.addFolder( 'Rivers' );
+
+// toggles river carving ( checkbox )
+rivers_folder.add( terrain.rivers, 'enabled' )
+             .name( 'Enabled' )
+             .onChange( function() { terrain.generate(); } );
+
+// flow threshold, depth and width of the channels ( sliders ), they regenerate terrain
+// only when rivers are on
+river_params.forEach( function( param ) {
+    rivers_folder.add( terrain.rivers, param.key, param.min, param.max, param.step )
+                 .name( param.name )
+                 .onChange( function() { if ( terrain.rivers.enabled ) terrain.generate(); } );
+} );
+
+// lakes folder containing options of water filling closed basins
+const lakes_folder = gui.addFolder( 'Lakes' );
+
+// toggles lakes ( checkbox )
+lakes_folder.add( terrain.lakes, 'enabled' )
+            .name( 'Enabled' )
+            .onChange( function() { terrain.generate(); } );
+
+// minimal depth and area of filled basins ( sliders ), they regenerate terrain only when lakes are on
+lake_params.forEach( function( param ) {
+    lakes_folder.add( terrain.lakes, param.key, param.min, param.max, param.step )
+                .name( param.name )
+                .onChange( function() { if ( terrain.lakes.enabled ) terrain.generate(); } );
+} );
+
+// occlusion folder containing options of ambient occlusion baked from the height map
+const occlusion_folder = gui.addFolder( 'Ambient Occlusion' );
+
+// toggles ambient occlusion, it is computed with the terrain ( checkbox )
+occlusion_folder.add( terrain.occlusion, 'enabled' )
+                .name( 'Enabled' )
+                .onChange( function() {
+                    terrain.update_occlusion();
+                    terrain.generate();
+                } );
+
+// horizon search distance and number of directions ( sliders ), they regenerate terrain
+// only when occlusion is on
+occlusion_params.forEach( function( param ) {
+    occlusion_folder.add( terrain.occlusion, param.key, param.min, param.max, param.step )
+                    .name( param.name )
+                    .onChange( function() { if ( terrain.occlusion.enabled ) terrain.generate(); } );
+} );
+
+// darkening of the occluded sky light ( slider )
+occlusion_folder.add( terrain, 'occlusion_strength', 0, 1, 0.05 )
+                .name( 'Strength' )
+                .onChange( function() { terrain.update_occlusion(); } );
+
+// multiplies vertex colors of the exported terrain by the occlusion ( checkbox )
+occlusion_folder.add( settings, 'bake_occlusion' ).name( 'Bake Into GLB' );
+
+// import folder containing options for height maps loaded from disk
+const import_folder = gui.addFolder( 'Heightmap Import' );
+
+// opens file dialog, files can be also dropped onto the canvas ( button )
+import_folder.add( settings, 'load_heightmap' ).name( 'Load File' );
+
+// elevation of black/lowest value of imported height map ( slider )
+import_folder.add( terrain, 'import_min', -100, 100, 0.1 )
+             .name( 'Min Elevation' )
+             .onChange( function() { if ( terrain.imported !== null ) terrain.generate(); } );
+
+// elevation of white/highest value of imported height map ( slider )
+import_folder.add( terrain, 'import_max', -100, 100, 0.1 )
+             .name( 'Max Elevation' )
+             .onChange( function() { if ( terrain.imported !== null ) terrain.generate(); } );
+
+// switches back from imported height map to generator ( button )
+import_folder.add( terrain, 'use_generator' ).name( 'Use Generator' );
+
+// sculpting folder containing brushes editing the height map with the mouse
+const sculpt_folder = gui.addFolder( 'Sculpting' );
+
+// toggles sculpting by left mouse button on the terrain ( checkbox )
+sculpt_folder.add( sculpt, 'enabled' )
+             .name( 'Enabled' )
+             .onChange( function() { if ( !sculpt.enabled ) brush_cursor.visible = false; } );
+
+// raise, lower, smooth, flatten or noise brush ( dropdown )
+sculpt_folder.add( sculpt, 'brush', brush_types ).name( 'Brush' );
+
+// radius, strength and falloff of the brush ( sliders )
+brush_params.forEach( function( param ) {
+    sculpt_folder.add( sculpt, param.key, param.min, param.max, param.step ).name( param.name );
+} );
+
+// infinite folder containing options of terrain streamed in chunks around the camera target
+const infinite_folder = gui.addFolder( 'Infinite Terrain' );
+
+// toggles infinite terrain instead of the single terrain mesh ( checkbox )
+infinite_folder.add( terrain, 'infinite' )
+               .name( 'Enabled' )
+               .onChange( function() { terrain.update_infinite(); } );
+
+// number of chunks loaded in every direction from the target ( slider )
+infinite_folder.add( terrain.chunk_manager, 'view_distance', 1, 4, 1 )
+               .name( 'View Distance' )
+               .onChange( function() { terrain.chunk_manager.reset(); } );
+
+// chunk detail ( the exponent of two ), chunks are generated again ( slider )
+infinite_folder.add( terrain.chunk_manager, 'two_exponent', 2, 8, 1 )
+               .name( 'Chunk Detail' )
+               .onChange( function() { terrain.chunk_manager.reset(); } );
+
+// lod folder containing options of the quadtree level of detail
+const lod_folder = gui.addFolder( 'Level of Detail' );
+
+// toggles patches of detail chosen by camera distance instead of the full mesh ( checkbox )
+lod_folder.add( terrain, 'lod_enabled' )
+          .name( 'Enabled' )
+          .onChange( function() { terrain.update_lod(); } );
+
+// higher bias keeps more detail further from the camera ( slider )
+lod_folder.add( terrain.lod, 'bias', 0.25, 4, 0.05 ).name( 'LOD Bias' );
+
 // material folder containing terrain surface options
 const material_folder = gui.addFolder( 'Terrain Surface' );
 
 // toggles terrain wireframe ( checkbox )
-material_folder.add( terrain.terrain_material, 'wireframe' ).name( 'Wireframe' );
+material_folder.add( terrain, 'wireframe' )
+               .name( 'Wireframe' )
+               .onChange( function() { terrain.update_wireframe(); } );
+
+// switches between Phong and physically based material ( dropdown )
+material_folder.add( terrain, 'material_model', { Phong: 'phong', PBR: 'pbr' } )
+               .name( 'Material' )
+               .onChange( function() { terrain.update_material(); } );
+
+/**
+ * Gets options of terrain or water texture dropdown from the texture list
+ * @param { bool } on_terrain: states whether to list terrain or water textures
+ * @returns object with gui names and texture keys
+ */
+function texture_options( on_terrain ) {
+    const surface = on_terrain ? 'terrain' : 'water';
+    const options = { Plain: 'none' };
+    terrain.texture_entries.forEach( function( entry ) {
+        if ( entry.surface == surface )
+            options[entry.name] = entry.key;
+    } );
+
+    // splatting, elevation tinting and biomes are terrain surfaces without texture image
+    if ( on_terrain ) {
+        options.Splat = 'splat';
+        options.Elevation = 'ramp';
+        options.Biomes = 'biome';
+    }
+
+    return options;
+}
+
+/**
+ * Applies texture chosen in terrain or water dropdown, color is reset to white
+ * so the texture is not tinted
+ * @param { bool } on_terrain: states whether to change terrain or water texture
+ */
+function apply_texture( on_terrain ) {
+    const prefix = on_terrain ? 'terrain' : 'water';
+    const mesh = on_terrain ? terrain.terrain_mesh : terrain.water_mesh;
+
+    settings[prefix + '_color'] = 0xffffff;
+    gui.updateDisplay();
+    mesh.material.color.set( 0xffffff );
+    terrain.texture( on_terrain, settings[prefix + '_texture'] );
+
+    // tiling folder shows the applied texture
+    if ( settings[prefix + '_texture'] in terrain.tiling ) {
+        settings[prefix + '_tiling'] = settings[prefix + '_texture'];
+        rebuild_tiling_folder( on_terrain );
+    }
+}
+
+/**
+ * Sets name and change handling of texture dropdown, it is needed again whenever
+ * the dropdown is replaced by one with new options
+ * @param { Controller } controller: texture dropdown
+ * @param { bool } on_terrain: states whether it is terrain or water dropdown
+ * @returns the controller
+ */
+function setup_texture_controller( controller, on_terrain ) {
+    return controller.name( 'Texture' )
+                     .onChange( function() { apply_texture( on_terrain ); } )
+                     .onFinishChange( save_state );
+}
 
 // changes terrain texture ( dropdown )
-material_folder.add( settings, 'terrain_texture',
-                     { Plain: 'none', Dirt: 'dirt', Rock: 'rock', Grass: 'grass', Snow: 'snow' } )
-               .name( 'Texture' )
-               .onChange( function() {
-                    settings.terrain_color = 0xffffff;
-                    gui.updateDisplay();
-                    terrain.terrain_mesh.material.color.set( 0xffffff );
-                    terrain.texture( true, settings.terrain_texture );
-                } );
+var terrain_texture_controller = setup_texture_controller(
+        material_folder.add( settings, 'terrain_texture', texture_options( true ) ), true );
+
+// adds image file as terrain texture ( button )
+material_folder.add( settings, 'upload_terrain_texture' ).name( 'Upload Texture' );
+
+// projects terrain textures along all three axes ( checkbox )
+material_folder.add( terrain, 'triplanar' )
+               .name( 'Triplanar' )
+               .onChange( function() { terrain.update_triplanar(); } );
+
+// sharpness of blending between triplanar projections ( slider )
+material_folder.add( terrain, 'triplanar_sharpness', 1, 16, 0.5 )
+               .name( 'Triplanar Sharpness' )
+               .onChange( function() { terrain.update_triplanar(); } );
 
 // changes terrain color ( colorpicker )
 material_folder.addColor( settings, 'terrain_color' )
@@ -370,25 +1472,139 @@ material_folder.add( terrain, 'default_terrain_color' )
                    gui.updateDisplay();
                 } );
 
+// tiling subfolders with texture dropdown and tiling of the chosen texture,
+// they are filled by rebuild_tiling_folder
+const tiling_folders = {
+    terrain: material_folder.addFolder( 'Tiling' ),
+    water: null
+};
+
+/**
+ * Replaces controllers of terrain or water tiling folder by texture dropdown and sliders
+ * of the chosen texture, it is needed whenever the chosen texture or texture list changes
+ * @param { bool } on_terrain: states whether to rebuild terrain or water tiling folder
+ */
+function rebuild_tiling_folder( on_terrain ) {
+    const surface = on_terrain ? 'terrain' : 'water';
+    const folder = tiling_folders[surface];
+    if ( folder === null )
+        return;
+
+    folder.__controllers.slice().forEach( function( controller ) {
+        folder.remove( controller );
+    } );
+
+    const options = {};
+    terrain.texture_entries.forEach( function( entry ) {
+        if ( entry.surface == surface )
+            options[entry.name] = entry.key;
+    } );
+
+    folder.add( settings, surface + '_tiling', options )
+          .name( 'Texture' )
+          .onChange( function() { rebuild_tiling_folder( on_terrain ); } );
+
+    const key = settings[surface + '_tiling'];
+    tiling_params.forEach( function( param ) {
+        folder.add( terrain.tiling[key], param.key, param.min, param.max, param.step )
+              .name( param.name )
+              .onChange( function() { terrain.update_tiling( key ); } )
+              .onFinishChange( save_state );
+    } );
+}
+
+// splatting subfolder with transition heights, slopes and blend widths used by splat texture
+const splat_folder = material_folder.addFolder( 'Splatting' );
+
+// heights and slopes of texture transitions and widths of their blending ( sliders )
+splat_params.forEach( function( param ) {
+    splat_folder.add( terrain.splat, param.key, param.min, param.max, param.step )
+                .name( param.name )
+                .onChange( function() { terrain.update_splat(); } );
+} );
+
+// color ramp subfolder with stops of elevation tinting used by elevation texture
+const ramp_folder = material_folder.addFolder( 'Color Ramp' );
+
+// adds and removes ramp stops ( buttons ), both rebuild the folder
+const ramp_actions = {
+    add: function() {
+        const last = terrain.color_ramp[terrain.color_ramp.length - 1];
+        terrain.color_ramp.push({ height: last.height + 5, color: last.color });
+        rebuild_ramp_folder();
+        terrain.update_colors();
+    },
+    remove: function() {
+        if ( terrain.color_ramp.length > 2 ) {
+            terrain.color_ramp.pop();
+            rebuild_ramp_folder();
+            terrain.update_colors();
+        }
+    }
+};
+
+/** Replaces controllers of color ramp folder by height slider and color picker of every stop */
+function rebuild_ramp_folder() {
+    ramp_folder.__controllers.slice().forEach( function( controller ) {
+        ramp_folder.remove( controller );
+    } );
+
+    terrain.color_ramp.forEach( function( stop, index ) {
+        ramp_folder.add( stop, 'height', -100, 100, 0.5 )
+                   .name( 'Stop ' + ( index + 1 ) + ' Height' )
+                   .onChange( function() { terrain.update_colors(); } )
+                   .onFinishChange( save_state );
+        ramp_folder.addColor( stop, 'color' )
+                   .name( 'Stop ' + ( index + 1 ) + ' Color' )
+                   .onChange( function() { terrain.update_colors(); } )
+                   .onFinishChange( save_state );
+    } );
+
+    ramp_folder.add( ramp_actions, 'add' ).name( 'Add Stop' ).onFinishChange( save_state );
+    ramp_folder.add( ramp_actions, 'remove' ).name( 'Remove Stop' ).onFinishChange( save_state );
+}
+
+rebuild_ramp_folder();
+
+// biomes subfolder with classification of temperature and moisture used by biome texture
+const biome_folder = material_folder.addFolder( 'Biomes' );
+
+// temperature at the water level, its fall with altitude and moisture spread ( sliders )
+biome_params.forEach( function( param ) {
+    biome_folder.add( terrain.biome, param.key, param.min, param.max, param.step )
+                .name( param.name )
+                .onChange( function() { terrain.update_biomes(); } );
+} );
+
+// downloads the biome map ( button )
+biome_folder.add( settings, 'export_biomes' ).name( 'Export Biome Map' );
+
 // water folder containing options for water
 const water_folder = gui.addFolder( 'Water Surface' );
 
 // height of water surface ( slider )
-water_folder.add( terrain.water_mesh.position, 'y', -100, 100, 0.1 ).name( 'Height' );
+water_folder.add( terrain.water_mesh.position, 'y', -100, 100, 0.1 )
+            .name( 'Height' )
+            .onChange( function() {
+                terrain.update_lakes();
+                terrain.update_biomes();
+                terrain.update_scatter();
+            } );
 
 // opacity of water surface ( slider )
 water_folder.add( terrain.water_mesh.material, 'opacity', 0, 1, 0.05 ).name( 'Opacity' );
 
 // changes water surface texture ( dropdown )
-water_folder.add( settings, 'water_texture',
-                  { Plain: 'none', Water: 'water' } )
-            .name( 'Texture' )
-            .onChange( function() {
-                 settings.water_color = 0xffffff;
-                 gui.updateDisplay();
-                 terrain.water_mesh.material.color.set( 0xffffff );
-                 terrain.texture( false, settings.water_texture );
-            } );
+var water_texture_controller = setup_texture_controller(
+        water_folder.add( settings, 'water_texture', texture_options( false ) ), false );
+
+// adds image file as water texture ( button )
+water_folder.add( settings, 'upload_water_texture' ).name( 'Upload Texture' );
+
+// tiling of water textures
+tiling_folders.water = water_folder.addFolder( 'Tiling' );
+rebuild_tiling_folder( true );
+rebuild_tiling_folder( false );
 
 // changes water surface color ( colorpicker )
 water_folder.addColor( settings, 'water_color' )
@@ -403,6 +1619,109 @@ water_folder.add( terrain, 'default_water_color' )
                 gui.updateDisplay();
              } );
 
+// length, speed, direction and height of waves and width of the shoreline foam ( sliders )
+water_params.forEach( function( param ) {
+    water_folder.add( terrain.water, param.key, param.min, param.max, param.step )
+                .name( param.name )
+                .onChange( function() { terrain.update_water(); } );
+} );
+
+// color of the sky reflected by water at grazing angles when the day/night cycle is off ( colorpicker )
+water_folder.addColor( settings, 'sky_color' )
+            .name( 'Sky Color' )
+            .onChange( update_sky );
+
+// scattering folder containing trees, bushes and rocks placed on the terrain
+const scatter_folder = gui.addFolder( 'Scattering' );
+
+// toggles scattered objects ( checkbox )
+scatter_folder.add( terrain.scatter, 'enabled' )
+              .name( 'Enabled' )
+              .onChange( function() { terrain.update_scatter(); } );
+
+// densities of trees, bushes and rocks ( sliders )
+scatter_params.forEach( function( param ) {
+    scatter_folder.add( terrain.scatter, param.key, param.min, param.max, param.step )
+                  .name( param.name )
+                  .onChange( function() { terrain.update_scatter(); } );
+} );
+
+// sky folder containing the day/night cycle
+const sky_folder = gui.addFolder( 'Sky' );
+
+/** Moves the sun, water reflects the sky near the horizon or the sky color setting */
+function update_sky() {
+    sky.update();
+    terrain.water_uniforms.sky_color.value.set( sky.enabled ? sky.horizon_color : settings.sky_color );
+    update_atmosphere();
+}
+
+// toggles the sky dome and lights driven by time of day ( checkbox )
+sky_folder.add( sky, 'enabled' ).name( 'Day/Night Cycle' ).onChange( update_sky );
+
+// advances the time of day ( checkbox )
+sky_folder.add( sky, 'play' ).name( 'Play' );
+
+// time of day, date, latitude and speed of the cycle ( sliders ), the time slider
+// is the timeline and follows the time while the cycle is played
+sky_params.forEach( function( param ) {
+    sky_folder.add( sky, param.key, param.min, param.max, param.step )
+              .name( param.name )
+              .onChange( update_sky )
+              .listen();
+} );
+
+// atmosphere folder containing fog options
+const atmosphere_folder = gui.addFolder( 'Atmosphere' );
+
+/**
+ * Sets the fog and the background shown when the day/night cycle is off, distant terrain
+ * fades into the sky near the horizon when the cycle is on
+ */
+function update_atmosphere() {
+    sky.fixed.background.set( settings.fog_color );
+    setup_fog( scene, atmosphere, sky.enabled ? sky.horizon_color : sky.fixed.background );
+}
+
+// type of the distance fog ( dropdown )
+atmosphere_folder.add( atmosphere, 'fog', fog_types )
+                 .name( 'Fog' )
+                 .onChange( update_atmosphere );
+
+// color of the fog and of the background ( colorpicker )
+atmosphere_folder.addColor( settings, 'fog_color' )
+                 .name( 'Color' )
+                 .onChange( update_atmosphere );
+
+// distances, density and height fog layer ( sliders )
+fog_params.forEach( function( param ) {
+    atmosphere_folder.add( atmosphere, param.key, param.min, param.max, param.step )
+                     .name( param.name )
+                     .onChange( update_atmosphere );
+} );
+
+update_atmosphere();
+
+// shadows folder containing shadow map options
+const shadows_folder = gui.addFolder( 'Shadows' );
+
+// toggles shadows of the terrain ( checkbox )
+shadows_folder.add( shadows, 'enabled' )
+              .name( 'Enabled' )
+              .onChange( function() { setup_shadow( directional_light, shadows ); } );
+
+// size of the shadow map ( dropdown )
+shadows_folder.add( shadows, 'resolution', shadow_resolutions )
+              .name( 'Resolution' )
+              .onChange( function() { setup_shadow( directional_light, shadows ); } );
+
+// depth bias, bias along the surface normal and softness of shadow edges ( sliders )
+shadow_params.forEach( function( param ) {
+    shadows_folder.add( shadows, param.key, param.min, param.max, param.step )
+                  .name( param.name )
+                  .onChange( function() { setup_shadow( directional_light, shadows ); } );
+} );
+
 // animation folder containing animation options
 const animation_folder = gui.addFolder( 'Animation' );
 
@@ -415,30 +1734,867 @@ animation_folder.add( settings, 'speed', 0, 0.01, 0.0001 ).name( 'Speed' );
 // exports the scene as .glb file
 gui.add( settings, 'download' ).name( 'Download Terrain' );
 
+// exports the height map as 16-bit .png, .r16 and .json with elevation range
+gui.add( settings, 'export_heightmap' ).name( 'Export Heightmap' );
+
+// textures which could not be loaded and were replaced by fallback ( read-only text )
+const texture_status_controller = gui.add( terrain, 'texture_status' ).name( 'Textures' ).listen();
+texture_status_controller.domElement.querySelector( 'input' ).readOnly = true;
+
+// URL STATE ================================================================================
+/**
+ * Reads scene state stored in the URL hash ( e.g. #seed=42&detail=8&... )
+ * @returns URLSearchParams with stored values, empty when there is no hash
+ */
+function read_state() {
+    return new URLSearchParams( window.location.hash.slice( 1 ) );
+}
+
+/**
+ * Gets number stored in the state, missing or invalid value is replaced by fallback
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { string } key: name of the stored value
+ * @param { number } fallback: value used when the stored one is missing or invalid
+ * @param { number } min: minimal allowed value
+ * @param { number } max: maximal allowed value
+ * @param { bool } integer: states whether the value has to be integer
+ * @returns stored number clamped to ( min, max ) or fallback
+ */
+function state_number( state, key, fallback, min, max, integer ) {
+    var value = parseFloat( state.get( key ) );
+    if ( !Number.isFinite( value ) )
+        return fallback;
+
+    if ( integer )
+        value = Math.round( value );
+
+    return THREE.MathUtils.clamp( value, min, max );
+}
+
+/**
+ * Gets generation algorithm stored in the state
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { string } fallback: algorithm used when the stored one is missing or unknown
+ * @returns key of the generator registry
+ */
+function state_algorithm( state, fallback ) {
+    const value = state.get( 'algorithm' );
+    return ( value !== null && generators.hasOwnProperty( value ) ) ? value : fallback;
+}
+
+/**
+ * Gets parameters stored in the state ( e.g. parameters of generation algorithm ),
+ * parameter keys are used directly as names of the stored values
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { Array } descriptors: list of parameters { key, min, max, step }
+ * @param { Object } fallback: parameters used when the stored ones are missing or invalid
+ * @returns object with parameter values
+ */
+function state_params( state, descriptors, fallback ) {
+    const params = {};
+    descriptors.forEach( function( param ) {
+        params[param.key] = state_number( state, param.key, fallback[param.key], param.min, param.max,
+                                          Number.isInteger( param.step ) );
+    } );
+
+    return params;
+}
+
+/**
+ * Checks whether some of the parameters differ from the current ones
+ * @param { Object } params: parameters read from the state
+ * @param { Object } current: current parameters
+ * @returns true when at least one parameter differs
+ */
+function params_differ( params, current ) {
+    return Object.keys( params ).some( function( key ) { return params[key] !== current[key]; } );
+}
+
+/**
+ * Sets vector from "x,y,z" value stored in the state, missing or invalid value is ignored
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { string } key: name of the stored value
+ * @param { THREE.Vector3 } vector: vector to be set
+ */
+function state_vector( state, key, vector ) {
+    const values = ( state.get( key ) || '' ).split( ',' ).map( parseFloat );
+    if ( values.length == 3 && values.every( Number.isFinite ) )
+        vector.fromArray( values );
+}
+
+/**
+ * Sets color setting from hex value stored in the state
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { string } key: name of the stored value and of the color setting
+ * @param { THREE.Color } color: color to be set ( e.g. material color )
+ */
+function state_color( state, key, color ) {
+    const value = state.get( key );
+    if ( value !== null && /^[0-9a-f]{6}$/i.test( value ) ) {
+        settings[key] = parseInt( value, 16 );
+        color.set( settings[key] );
+    }
+}
+
+/**
+ * Sets texture setting from texture name stored in the state
+ * @param { URLSearchParams } state: state read from the URL hash
+ * @param { string } key: name of the stored value and of the texture setting
+ * @param { bool } on_terrain: states whether to change terrain or water texture
+ */
+function state_texture( state, key, on_terrain ) {
+    const value = state.get( key );
+    // splatting, elevation tinting and biomes are terrain surfaces without texture image,
+    // uploaded textures are not part of the state and are ignored
+    const generated = on_terrain && ( value == 'splat' || value == 'ramp' || value == 'biome' );
+    if ( value !== null && ( value in terrain.textures || generated ) ) {
+        settings[key] = value;
+        terrain.texture( on_terrain, value );
+    }
+}
+
+/**
+ * Converts vector to "x,y,z" string with rounded coordinates
+ * @param { THREE.Vector3 } vector
+ * @returns string representation of the vector
+ */
+function vector_to_state( vector ) {
+    return vector.toArray().map( function( value ) { return value.toFixed( 2 ); } ).join( ',' );
+}
+
+/** Writes current terrain, surface, animation and camera settings to the URL hash */
+function save_state() {
+    const state = new URLSearchParams();
+
+    state.set( 'seed', terrain.seed );
+    state.set( 'detail', terrain.two_exponent );
+    state.set( 'algorithm', terrain.algorithm );
+    const params = terrain.algorithm_params[terrain.algorithm];
+    for ( const key in params )
+        state.set( key, params[key] );
+
+    // imported height map does not fit into the link, it is only marked with its elevation
+    // range, so the link does not claim the generator terrain is shown
+    if ( terrain.imported !== null ) {
+        state.set( 'import', 1 );
+        state.set( 'import_min', terrain.import_min );
+        state.set( 'import_max', terrain.import_max );
+    }
+
+    state.set( 'hydraulic', terrain.hydraulic.enabled ? 1 : 0 );
+    hydraulic_params.forEach( function( param ) {
+        state.set( param.key, terrain.hydraulic[param.key] );
+    } );
+    thermal_params.forEach( function( param ) {
+        state.set( param.key, terrain.thermal[param.key] );
+    } );
+    state.set( 'rivers', terrain.rivers.enabled ? 1 : 0 );
+    river_params.forEach( function( param ) {
+        state.set( param.key, terrain.rivers[param.key] );
+    } );
+    state.set( 'lakes', terrain.lakes.enabled ? 1 : 0 );
+    lake_params.forEach( function( param ) {
+        state.set( param.key, terrain.lakes[param.key] );
+    } );
+    state.set( 'occlusion', terrain.occlusion.enabled ? 1 : 0 );
+    occlusion_params.forEach( function( param ) {
+        state.set( param.key, terrain.occlusion[param.key] );
+    } );
+    state.set( 'occlusion_strength', terrain.occlusion_strength );
+    state.set( 'bake_occlusion', settings.bake_occlusion ? 1 : 0 );
+
+    state.set( 'brush', sculpt.brush );
+    brush_params.forEach( function( param ) {
+        state.set( param.key, sculpt[param.key] );
+    } );
+
+    state.set( 'infinite', terrain.infinite ? 1 : 0 );
+    state.set( 'view_distance', terrain.chunk_manager.view_distance );
+    state.set( 'chunk_detail', terrain.chunk_manager.two_exponent );
+    state.set( 'lod', terrain.lod_enabled ? 1 : 0 );
+    state.set( 'lod_bias', terrain.lod.bias );
+
+    state.set( 'wireframe', terrain.wireframe ? 1 : 0 );
+    state.set( 'material', terrain.material_model );
+    state.set( 'terrain_texture', settings.terrain_texture );
+    state.set( 'triplanar', terrain.triplanar ? 1 : 0 );
+    state.set( 'triplanar_sharpness', terrain.triplanar_sharpness );
+    state.set( 'terrain_color', new THREE.Color( settings.terrain_color ).getHexString() );
+    splat_params.forEach( function( param ) {
+        state.set( param.key, terrain.splat[param.key] );
+    } );
+    state.set( 'ramp', ramp_to_string( terrain.color_ramp ) );
+    biome_params.forEach( function( param ) {
+        state.set( param.key, terrain.biome[param.key] );
+    } );
+
+    state.set( 'water_height', terrain.water_mesh.position.y );
+    state.set( 'water_opacity', terrain.water_mesh.material.opacity );
+    state.set( 'water_texture', settings.water_texture );
+    state.set( 'water_color', new THREE.Color( settings.water_color ).getHexString() );
+    water_params.forEach( function( param ) {
+        state.set( param.key, terrain.water[param.key] );
+    } );
+    state.set( 'sky_color', new THREE.Color( settings.sky_color ).getHexString() );
+
+    state.set( 'scatter', terrain.scatter.enabled ? 1 : 0 );
+    scatter_params.forEach( function( param ) {
+        state.set( param.key, terrain.scatter[param.key] );
+    } );
+
+    state.set( 'shadows', shadows.enabled ? 1 : 0 );
+    state.set( 'shadow_resolution', shadows.resolution );
+    shadow_params.forEach( function( param ) {
+        state.set( param.key, shadows[param.key] );
+    } );
+
+    state.set( 'sky', sky.enabled ? 1 : 0 );
+    state.set( 'sky_play', sky.play ? 1 : 0 );
+    sky_params.forEach( function( param ) {
+        state.set( param.key, sky[param.key] );
+    } );
+
+    state.set( 'fog', atmosphere.fog );
+    fog_params.forEach( function( param ) {
+        state.set( param.key, atmosphere[param.key] );
+    } );
+    state.set( 'fog_color', new THREE.Color( settings.fog_color ).getHexString() );
+
+    // uploaded textures are not part of the state, so only tilings of manifest textures are stored
+    const tilings = {};
+    texture_manifest.forEach( function( entry ) {
+        tilings[entry.key] = terrain.tiling[entry.key];
+    } );
+    state.set( 'tiling', tiling_to_string( tilings ) );
+
+    state.set( 'animation', settings.animation ? 1 : 0 );
+    state.set( 'speed', settings.speed );
+
+    state.set( 'camera', vector_to_state( camera.position ) );
+    state.set( 'target', vector_to_state( controls.target ) );
+
+    // replacing the state does not fill browser history with every slider move
+    history.replaceState( null, '', '#' + state.toString() );
+}
+
+/**
+ * Applies state read from the URL hash, values missing in the hash keep their current value
+ * and terrain is regenerated only when its generation parameters differ
+ * @param { URLSearchParams } state: state read from the URL hash
+ */
+function load_state( state ) {
+    const seed = state_number( state, 'seed', terrain.seed, 0, 4294967295, true );
+    const two_exponent = state_number( state, 'detail', terrain.two_exponent, 0, 10, true );
+    const algorithm = state_algorithm( state, terrain.algorithm );
+    const params = state_params( state, generators[algorithm].params, terrain.algorithm_params[algorithm] );
+    const hydraulic = state_params( state, hydraulic_params, terrain.hydraulic );
+    hydraulic.enabled = state_number( state, 'hydraulic', terrain.hydraulic.enabled ? 1 : 0, 0, 1, true ) == 1;
+    const thermal = state_params( state, thermal_params, terrain.thermal );
+    const rivers = state_params( state, river_params, terrain.rivers );
+    rivers.enabled = state_number( state, 'rivers', terrain.rivers.enabled ? 1 : 0, 0, 1, true ) == 1;
+    const lakes = state_params( state, lake_params, terrain.lakes );
+    lakes.enabled = state_number( state, 'lakes', terrain.lakes.enabled ? 1 : 0, 0, 1, true ) == 1;
+    const occlusion = state_params( state, occlusion_params, terrain.occlusion );
+    occlusion.enabled = state_number( state, 'occlusion', terrain.occlusion.enabled ? 1 : 0, 0, 1, true ) == 1;
+
+    // imported height map itself is not part of the state, only its mark and elevation range,
+    // state without the mark switches an imported map back to the generator
+    const imported = state_number( state, 'import', 0, 0, 1, true ) == 1;
+    const import_min = state_number( state, 'import_min', terrain.import_min, -100, 100 );
+    const import_max = state_number( state, 'import_max', terrain.import_max, -100, 100 );
+    const import_changed = terrain.imported !== null &&
+                           ( !imported || import_min !== terrain.import_min || import_max !== terrain.import_max );
+    terrain.import_min = import_min;
+    terrain.import_max = import_max;
+    if ( !imported )
+        terrain.imported = null;
+
+    if ( import_changed || seed !== terrain.seed || two_exponent !== terrain.two_exponent ||
+         algorithm !== terrain.algorithm || params_differ( params, terrain.algorithm_params[algorithm] ) ||
+         params_differ( hydraulic, terrain.hydraulic ) || params_differ( thermal, terrain.thermal ) ||
+         params_differ( rivers, terrain.rivers ) || params_differ( lakes, terrain.lakes ) ||
+         params_differ( occlusion, terrain.occlusion ) ) {
+        const algorithm_changed = algorithm !== terrain.algorithm;
+        terrain.seed = seed;
+        terrain.two_exponent = two_exponent;
+        terrain.algorithm = algorithm;
+        Object.assign( terrain.algorithm_params[algorithm], params );
+        Object.assign( terrain.hydraulic, hydraulic );
+        Object.assign( terrain.thermal, thermal );
+        Object.assign( terrain.rivers, rivers );
+        Object.assign( terrain.lakes, lakes );
+        Object.assign( terrain.occlusion, occlusion );
+        if ( algorithm_changed )
+            rebuild_algorithm_folder();
+        terrain.generate();
+    }
+
+    const brush = state.get( 'brush' );
+    if ( Object.values( brush_types ).indexOf( brush ) >= 0 )
+        sculpt.brush = brush;
+    Object.assign( sculpt, state_params( state, brush_params, sculpt ) );
+
+    const chunks = terrain.chunk_manager;
+    const view_distance = state_number( state, 'view_distance', chunks.view_distance, 1, 4, true );
+    const chunk_detail = state_number( state, 'chunk_detail', chunks.two_exponent, 2, 8, true );
+    if ( view_distance !== chunks.view_distance || chunk_detail !== chunks.two_exponent ) {
+        chunks.view_distance = view_distance;
+        chunks.two_exponent = chunk_detail;
+        chunks.reset();
+    }
+    terrain.infinite = state_number( state, 'infinite', terrain.infinite ? 1 : 0, 0, 1, true ) == 1;
+    terrain.update_infinite();
+
+    terrain.lod.bias = state_number( state, 'lod_bias', terrain.lod.bias, 0.25, 4 );
+    const lod_enabled = state_number( state, 'lod', terrain.lod_enabled ? 1 : 0, 0, 1, true ) == 1;
+    if ( lod_enabled !== terrain.lod_enabled ) {
+        terrain.lod_enabled = lod_enabled;
+        terrain.update_lod();
+    }
+
+    // texture is applied before color because texture change resets color in gui
+    terrain.wireframe = state_number( state, 'wireframe', terrain.wireframe ? 1 : 0, 0, 1, true ) == 1;
+    terrain.update_wireframe();
+    const material_model = state.get( 'material' );
+    if ( material_model in terrain.materials && material_model !== terrain.material_model ) {
+        terrain.material_model = material_model;
+        terrain.update_material();
+    }
+    state_texture( state, 'terrain_texture', true );
+    state_color( state, 'terrain_color', terrain.terrain_material.color );
+    Object.assign( terrain.splat, state_params( state, splat_params, terrain.splat ) );
+    terrain.update_splat();
+
+    const ramp = ramp_from_string( state.get( 'ramp' ) || '' );
+    if ( ramp !== null ) {
+        terrain.color_ramp = ramp;
+        rebuild_ramp_folder();
+        terrain.update_colors();
+    }
+
+    terrain.water_mesh.position.y = state_number( state, 'water_height',
+                                                  terrain.water_mesh.position.y, -100, 100 );
+    terrain.update_lakes();
+    Object.assign( terrain.biome, state_params( state, biome_params, terrain.biome ) );
+    terrain.update_biomes();
+    terrain.water_mesh.material.opacity = state_number( state, 'water_opacity',
+                                                        terrain.water_mesh.material.opacity, 0, 1 );
+    state_texture( state, 'water_texture', false );
+    state_color( state, 'water_color', terrain.water_mesh.material.color );
+    Object.assign( terrain.water, state_params( state, water_params, terrain.water ) );
+    terrain.update_water();
+    state_color( state, 'sky_color', terrain.water_uniforms.sky_color.value );
+
+    Object.assign( terrain.scatter, state_params( state, scatter_params, terrain.scatter ) );
+    terrain.scatter.enabled = state_number( state, 'scatter', terrain.scatter.enabled ? 1 : 0, 0, 1, true ) == 1;
+    terrain.update_scatter();
+
+    shadows.enabled = state_number( state, 'shadows', shadows.enabled ? 1 : 0, 0, 1, true ) == 1;
+    const resolution = Number( state.get( 'shadow_resolution' ) );
+    if ( Object.values( shadow_resolutions ).indexOf( resolution ) >= 0 )
+        shadows.resolution = resolution;
+    Object.assign( shadows, state_params( state, shadow_params, shadows ) );
+    setup_shadow( directional_light, shadows );
+
+    sky.enabled = state_number( state, 'sky', sky.enabled ? 1 : 0, 0, 1, true ) == 1;
+    sky.play = state_number( state, 'sky_play', sky.play ? 1 : 0, 0, 1, true ) == 1;
+    Object.assign( sky, state_params( state, sky_params, sky ) );
+
+    const fog = state.get( 'fog' );
+    if ( Object.values( fog_types ).indexOf( fog ) >= 0 )
+        atmosphere.fog = fog;
+    Object.assign( atmosphere, state_params( state, fog_params, atmosphere ) );
+    state_color( state, 'fog_color', sky.fixed.background );
+    update_sky();
+
+    const tilings = tiling_from_string( state.get( 'tiling' ) || '' );
+    for ( const key in tilings ) {
+        if ( terrain.tiling.hasOwnProperty( key ) ) {
+            Object.assign( terrain.tiling[key], tilings[key] );
+            terrain.update_tiling( key );
+        }
+    }
+
+    terrain.triplanar = state_number( state, 'triplanar', terrain.triplanar ? 1 : 0, 0, 1, true ) == 1;
+    terrain.triplanar_sharpness = state_number( state, 'triplanar_sharpness',
+                                                terrain.triplanar_sharpness, 1, 16 );
+    terrain.update_triplanar();
+
+    terrain.occlusion_strength = state_number( state, 'occlusion_strength', terrain.occlusion_strength, 0, 1 );
+    terrain.update_occlusion();
+    settings.bake_occlusion = state_number( state, 'bake_occlusion', settings.bake_occlusion ? 1 : 0,
+                                            0, 1, true ) == 1;
+
+    settings.animation = state_number( state, 'animation', settings.animation ? 1 : 0, 0, 1, true ) == 1;
+    settings.speed = state_number( state, 'speed', settings.speed, 0, 0.01 );
+
+    state_vector( state, 'camera', camera.position );
+    state_vector( state, 'target', controls.target );
+    controls.update();
+
+    gui.updateDisplay();
+}
+
+/**
+ * Makes every controller of gui and its folders save the state after the change is finished
+ * @param { GUI } folder: gui or gui folder
+ */
+function track_state( folder ) {
+    folder.__controllers.forEach( function( controller ) {
+        controller.onFinishChange( save_state );
+    } );
+
+    Object.values( folder.__folders ).forEach( track_state );
+}
+
+load_state( init_state );
+save_state();
+track_state( gui );
+
+// camera movement is saved once the mouse interaction ends
+controls.addEventListener( 'end', save_state );
+
+// link pasted to already opened page changes only the hash, page is not reloaded
+window.addEventListener( 'hashchange', function() { load_state( read_state() ); }, false );
+
+// generate button keeps all settings and generates terrain from a new seed,
+// imported height map is replaced by the generator
+document.getElementById( 'generate_button' ).addEventListener( 'click', function() {
+    terrain.seed = random_seed();
+    terrain.imported = null;
+    terrain.generate();
+    gui.updateDisplay();
+    save_state();
+}, false );
+
 // SCENE DOWNLOAD ===========================================================================
 // dowload link element
 const link = document.createElement( 'a' );
 document.body.appendChild( link );
 
+/**
+ * Downloads data as file using the download link, the object url is revoked once
+ * the browser has started the download
+ * @param { BlobPart } data: content of the file
+ * @param { string } name: name of the file
+ * @param { string } type: MIME type of the file
+ */
+function save_file( data, name, type ) {
+    const blob = new Blob( [data], { type: type } );
+    const url = URL.createObjectURL( blob );
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout( function() { URL.revokeObjectURL( url ); }, 1000 );
+}
+
+/**
+ * Multiplies vertex colors of the terrain geometries by their ambient occlusion, so the
+ * darkening is kept by viewers which do not know the occlusion attribute
+ * @returns array of baked geometries and their original color attributes ( or undefined )
+ */
+function bake_occlusion() {
+    const baked = [];
+    terrain.for_each_geometry( function( geometry ) {
+        const occlusion = geometry.getAttribute( 'occlusion' );
+        if ( occlusion === undefined )
+            return;
+
+        const color = geometry.getAttribute( 'color' );
+        const colors = new Float32Array( occlusion.count*3 );
+        for ( var i = 0; i < occlusion.count; i++ ) {
+            const shade = 1 + ( occlusion.getX( i ) - 1 )*terrain.occlusion_strength;
+            colors[i*3] = ( color !== undefined ? color.getX( i ) : 1 )*shade;
+            colors[i*3 + 1] = ( color !== undefined ? color.getY( i ) : 1 )*shade;
+            colors[i*3 + 2] = ( color !== undefined ? color.getZ( i ) : 1 )*shade;
+        }
+
+        baked.push({ geometry: geometry, color: color });
+        geometry.setAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
+    } );
+
+    return baked;
+}
+
+/**
+ * Adds merged copy of every instanced mesh of scattered objects and hides the instanced
+ * one, the exporter does not know instancing and would save only one object per mesh
+ * @returns array of added merged meshes
+ */
+function merge_scatter() {
+    const merged = [];
+    terrain.scatter_group.children.slice().forEach( function( mesh ) {
+        // exporter would save the single object of the emptied mesh
+        mesh.visible = false;
+        if ( mesh.count == 0 )
+            return;
+        const copy = new THREE.Mesh( merge_instances( mesh ), terrain.scatter_material );
+        copy.name = mesh.name;
+        terrain.scatter_group.add( copy );
+        merged.push( copy );
+    } );
+
+    return merged;
+}
+
 /** Three.js GLTFExporter saves scene into the .glb file */
 function download_scene() {
+    // sky dome is not part of the terrain, the exporter skips invisible objects
+    // and collects the scene before parse returns, so the baked colors and merged
+    // scattered objects are only swapped in for the export
     const exporter = new GLTFExporter();
+    sky.dome.visible = false;
+    // exported biome colors are not tinted by the material color either
+    const color = terrain.terrain_material.color.clone();
+    if ( terrain.terrain_texture == 'biome' )
+        terrain.terrain_material.color.set( 0xffffff );
+    const baked = ( settings.bake_occlusion && terrain.occlusion.enabled ) ? bake_occlusion() : [];
+    const merged = merge_scatter();
     exporter.parse(
         scene,
         function( result ) {
-            const blob = new Blob( [result] );
-            link.href = URL.createObjectURL( blob );
-            link.download = 'scene.glb';
-            link.click();
+            save_file( result, 'scene.glb', 'model/gltf-binary' );
         },
         function ( error ) {
             console.log( error );
         },
         { binary: true }
     );
+    sky.dome.visible = sky.enabled;
+    terrain.terrain_material.color.copy( color );
+    baked.forEach( function( entry ) {
+        if ( entry.color !== undefined )
+            entry.geometry.setAttribute( 'color', entry.color );
+        else
+            entry.geometry.deleteAttribute( 'color' );
+    } );
+    merged.forEach( function( mesh ) {
+        terrain.scatter_group.remove( mesh );
+        mesh.geometry.dispose();
+    } );
+    terrain.scatter_group.children.forEach( function( mesh ) { mesh.visible = true; } );
+}
+
+/**
+ * Saves the biome map of the current height map as 8-bit indexed .png, palette colors
+ * are the biome colors and palette indices follow the biome list
+ */
+function export_biome_map() {
+    // biome map is not available until the first generation finishes
+    if ( terrain.height_map === null )
+        return;
+
+    // outdated map is classified in the worker first, the download starts when it is done
+    terrain.with_biomes( function( biome_map ) {
+        const palette = biomes.map( function( biome ) { return biome.color; } );
+        save_file( encode_png_indexed( biome_map, palette ), 'biomes.png', 'image/png' );
+    } );
+}
+
+/**
+ * Saves the current height map as normalized 16-bit grayscale .png and little-endian .r16
+ * ( Unity/Unreal terrain importers ) packed in one .zip, the .json sidecar records
+ * the elevation range needed to convert normalized values back to heights
+ */
+function export_heightmap() {
+    // height map is not available until the first generation finishes
+    if ( terrain.height_map === null )
+        return;
+
+    const range = height_range( terrain.height_map );
+    const size = Math.round( Math.sqrt( terrain.height_map.length ) );
+
+    const sidecar = JSON.stringify({
+        width: size,
+        height: size,
+        bit_depth: 16,
+        byte_order: 'little-endian',
+        min_elevation: range.min,
+        max_elevation: range.max,
+        terrain_size: 100,
+        source: ( terrain.imported !== null ) ? 'imported' : 'generated',
+        seed: terrain.seed,
+        detail: terrain.two_exponent,
+        algorithm: terrain.algorithm,
+        parameters: terrain.algorithm_params[terrain.algorithm]
+    }, null, 4 );
+
+    // browsers block or drop several downloads started at once, so the files are
+    // downloaded together in one archive
+    const files = [
+        { name: 'heightmap.png', data: encode_png16( terrain.height_map, range.min, range.max ) },
+        { name: 'heightmap.r16', data: encode_r16( terrain.height_map, range.min, range.max ) },
+        { name: 'heightmap.json', data: new TextEncoder().encode( sidecar ) }
+    ];
+    save_file( encode_zip( files ), 'heightmap.zip', 'application/zip' );
+}
+
+// HEIGHT MAP IMPORT ========================================================================
+// hidden file input opened by the gui button
+const file_input = document.createElement( 'input' );
+file_input.type = 'file';
+file_input.accept = '.png,.r16,.raw,.json,image/*';
+file_input.multiple = true;
+file_input.style.display = 'none';
+document.body.appendChild( file_input );
+
+/**
+ * Imports height map from given files, .json sidecar written by the height map export
+ * can be passed together with the image to restore the original elevation range
+ * @param { FileList } files: height map file and optional .json sidecar
+ */
+function load_heightmap_files( files ) {
+    const list = Array.from( files );
+    const sidecar = list.find( function( file ) { return /\.json$/i.test( file.name ); } );
+    const image = list.find( function( file ) { return !/\.json$/i.test( file.name ); } );
+
+    if ( image === undefined )
+        return;
+
+    const range = ( sidecar === undefined ) ? Promise.resolve( null ) : sidecar.text().then( JSON.parse );
+
+    range.then( function( info ) {
+        if ( info !== null && Number.isFinite( info.min_elevation ) && Number.isFinite( info.max_elevation ) ) {
+            terrain.import_min = info.min_elevation;
+            terrain.import_max = info.max_elevation;
+        }
+
+        return decode_heightmap( image );
+    } ).then( function( height_map ) {
+        terrain.import_heightmap( height_map );
+        gui.updateDisplay();
+        save_state();
+    } ).catch( function( error ) {
+        terrain.status = 'import failed';
+        console.log( error );
+    } );
+}
+
+file_input.addEventListener( 'change', function() {
+    load_heightmap_files( file_input.files );
+    file_input.value = '';      // the same file can be loaded again
+}, false );
+
+// files dropped onto the canvas are imported as well
+renderer.domElement.addEventListener( 'dragover', function( event ) {
+    event.preventDefault();
+}, false );
+
+renderer.domElement.addEventListener( 'drop', function( event ) {
+    event.preventDefault();
+    load_heightmap_files( event.dataTransfer.files );
+}, false );
+
+// TEXTURE UPLOAD ===========================================================================
+// hidden file input opened by the upload buttons of terrain and water surface
+const texture_input = document.createElement( 'input' );
+texture_input.type = 'file';
+texture_input.accept = 'image/*';
+texture_input.style.display = 'none';
+document.body.appendChild( texture_input );
+
+// surface the chosen file is uploaded for
+var texture_on_terrain = true;
+
+/**
+ * Opens file dialog for texture upload
+ * @param { bool } on_terrain: states whether the texture is for terrain or water
+ */
+function open_texture_dialog( on_terrain ) {
+    texture_on_terrain = on_terrain;
+    texture_input.click();
+}
+
+/**
+ * Loads image file as texture, adds it to the texture dropdown of the surface and applies it
+ * @param { File } file: image file
+ * @param { bool } on_terrain: states whether the texture is for terrain or water
+ */
+function upload_texture( file, on_terrain ) {
+    // textures repeat across the surface the same way as the manifest ones
+    load_user_texture( file, on_terrain ? 25 : 10 ).then( function( texture ) {
+        const key = terrain.add_texture( file.name, texture, on_terrain ? 'terrain' : 'water' );
+
+        // dropdown options can not be changed, so the dropdown is replaced by a new one
+        if ( on_terrain ) {
+            settings.terrain_texture = key;
+            terrain_texture_controller = setup_texture_controller(
+                terrain_texture_controller.options( texture_options( true ) ), true );
+        } else {
+            settings.water_texture = key;
+            water_texture_controller = setup_texture_controller(
+                water_texture_controller.options( texture_options( false ) ), false );
+        }
+
+        apply_texture( on_terrain );
+        save_state();
+    } ).catch( function( error ) {
+        terrain.texture_status = 'upload failed';
+        console.log( error );
+    } );
+}
+
+texture_input.addEventListener( 'change', function() {
+    if ( texture_input.files.length > 0 )
+        upload_texture( texture_input.files[0], texture_on_terrain );
+    texture_input.value = '';       // the same file can be uploaded again
+}, false );
+
+// SCULPTING ================================================================================
+// brush cursor is a circle following the terrain surface, it is child of the terrain mesh,
+// so it is placed in the same local coordinates as the height map
+const cursor_segments = 64;
+const brush_cursor = new THREE.LineLoop( new THREE.BufferGeometry(),
+                                         new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false }) );
+brush_cursor.geometry.setAttribute( 'position',
+                                    new THREE.BufferAttribute( new Float32Array( cursor_segments*3 ), 3 ) );
+brush_cursor.renderOrder = 1;
+brush_cursor.frustumCulled = false;
+brush_cursor.visible = false;
+terrain.terrain_mesh.add( brush_cursor );
+
+const raycaster = new THREE.Raycaster();
+// pointer position in normalized device coordinates or null when it is not over the canvas
+var pointer = null;
+var pointer_moved = false;
+// brush center in local coordinates of the terrain mesh or null when the pointer misses the terrain
+var brush_point = null;
+
+/**
+ * Finds point of the terrain mesh under the pointer
+ * @returns point in local coordinates of the terrain mesh or null
+ */
+function pick_terrain() {
+    if ( pointer === null || !terrain.sculptable() )
+        return null;
+
+    raycaster.setFromCamera( pointer, camera );
+    const hits = raycaster.intersectObject( terrain.terrain_mesh, false );
+    return ( hits.length > 0 ) ? terrain.terrain_mesh.worldToLocal( hits[0].point ) : null;
 }
 
+/** Places the brush cursor around the brush center on the terrain surface */
+function update_cursor() {
+    brush_cursor.visible = sculpt.enabled && brush_point !== null;
+    if ( !brush_cursor.visible )
+        return;
+
+    const positions = brush_cursor.geometry.getAttribute( 'position' );
+    for ( var k = 0; k < cursor_segments; k++ ) {
+        const angle = 2*Math.PI*k/cursor_segments;
+        const x = Math.min( Math.max( brush_point.x + Math.cos( angle )*sculpt.brush_radius, -50 ), 50 );
+        const y = Math.min( Math.max( brush_point.y + Math.sin( angle )*sculpt.brush_radius, -50 ), 50 );
+        positions.setXYZ( k, x, y, sample_height( terrain.height_map, x, y ) + 0.1 );
+    }
+    positions.needsUpdate = true;
+}
+
+/**
+ * Stores pointer position over the canvas, the terrain is picked once per frame
+ * @param { PointerEvent } event: pointer event on the canvas
+ */
+function track_pointer( event ) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer = new THREE.Vector2( ( event.clientX - rect.left )/rect.width*2 - 1,
+                                 -( event.clientY - rect.top )/rect.height*2 + 1 );
+    pointer_moved = true;
+}
+
+/**
+ * Picks the terrain under the pointer and applies the brush while the stroke lasts,
+ * the terrain is picked again when the pointer moved or the terrain rotates
+ * @param { number } delta: time since the last frame in seconds
+ */
+function update_sculpting( delta ) {
+    if ( !sculpt.enabled )
+        return;
+
+    if ( pointer_moved || settings.animation ) {
+        brush_point = pick_terrain();
+        pointer_moved = false;
+    }
+
+    // long frames ( e.g. after switching back to the page ) do not apply the brush at once
+    if ( terrain.stroke !== null && brush_point !== null && terrain.sculptable() )
+        terrain.sculpt( brush_point, sculpt, Math.min( delta, 0.1 ) );
+    update_cursor();
+}
+
+/** Finishes the brush stroke and gives the mouse back to the camera controls */
+function end_stroke() {
+    if ( terrain.stroke === null )
+        return;
+
+    terrain.end_stroke();
+    controls.enabled = true;
+}
+
+// listener on window runs in capture phase before the controls listener on the canvas,
+// so left button pressed over the terrain starts a stroke instead of rotating the camera
+window.addEventListener( 'pointerdown', function( event ) {
+    if ( !sculpt.enabled || event.button !== 0 || event.target !== renderer.domElement )
+        return;
+
+    track_pointer( event );
+    brush_point = pick_terrain();
+    pointer_moved = false;
+    if ( brush_point === null )
+        return;
+
+    controls.enabled = false;
+    terrain.start_stroke( brush_point );
+}, true );
+
+renderer.domElement.addEventListener( 'pointermove', track_pointer, false );
+renderer.domElement.addEventListener( 'pointerleave', function() {
+    pointer = null;
+    pointer_moved = true;
+}, false );
+window.addEventListener( 'pointerup', end_stroke, false );
+window.addEventListener( 'pointercancel', end_stroke, false );
+
 // SCENE RENDERING ==========================================================================
+// depth of the scene without water is rendered first, water shader compares it with its own
+// depth to find shallow water covered by foam
+const depth_target = new THREE.WebGLRenderTarget( 1, 1 );
+depth_target.depthTexture = new THREE.DepthTexture( 1, 1 );
+const depth_material = new THREE.MeshBasicMaterial({ colorWrite: false, side: THREE.DoubleSide });
+terrain.water_uniforms.depth_map.value = depth_target.depthTexture;
+
+// time of the water waves and of the day/night cycle
+const clock = new THREE.Clock();
+var last_time = 0;
+
+/** Sets size of the depth target to the size of the drawing buffer */
+function resize_depth_target() {
+    const size = renderer.getDrawingBufferSize( new THREE.Vector2() );
+    depth_target.setSize( size.x, size.y );
+    terrain.water_uniforms.depth_resolution.value.copy( size );
+}
+
+resize_depth_target();
+
+/** Renders depth of the scene without water into the depth target */
+function render_depth() {
+    const inland_visible = terrain.river_mesh.visible;
+    const cursor_visible = brush_cursor.visible;
+    terrain.water_mesh.visible = false;
+    terrain.river_mesh.visible = false;
+    terrain.lake_group.visible = false;
+    brush_cursor.visible = false;
+    sky.dome.visible = false;
+    scene.overrideMaterial = depth_material;
+    renderer.setRenderTarget( depth_target );
+    renderer.render( scene, camera );
+    renderer.setRenderTarget( null );
+    scene.overrideMaterial = null;
+    terrain.water_mesh.visible = true;
+    terrain.river_mesh.visible = inland_visible;
+    terrain.lake_group.visible = inland_visible;
+    brush_cursor.visible = cursor_visible;
+    sky.dome.visible = sky.enabled;
+}
+
 /** Handles correct scene rendering after window reisize */
 window.addEventListener( 'resize', on_window_resize, false );
 function on_window_resize(){
@@ -446,15 +2602,38 @@ function on_window_resize(){
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize( window.innerWidth, window.innerHeight );
+    resize_depth_target();
 }
 
 /** Handles the scene rendering and animating objects */
 function animate() {
     if ( settings.animation == true ) {
-        terrain.terrain_mesh.rotation.z += settings.speed;
+        terrain.root.rotation.z += settings.speed;
         terrain.water_mesh.rotation.z += settings.speed;
     }
 
+    if ( terrain.infinite )
+        terrain.stream( controls.target );
+    else if ( terrain.lod_enabled )
+        terrain.refine( camera.position );
+
+    const time = clock.getElapsedTime();
+    terrain.water_uniforms.water_time.value = time;
+    update_sculpting( time - last_time );
+    if ( sky.advance( time - last_time ) )
+        update_sky();
+    sky.follow( camera );
+    last_time = time;
+
+    // depth pass is needed only for the foam of visible water
+    if ( terrain.water.foam_width > 0 && terrain.water_mesh.material.opacity > 0 )
+        render_depth();
+
+    if ( shadows.enabled ) {
+        fit_shadow_camera( directional_light, terrain.bounds( shadow_box ) );
+        renderer.shadowMap.needsUpdate = true;
+    }
+
     renderer.render( scene, camera );
     requestAnimationFrame( animate );
 }
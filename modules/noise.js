@@ -0,0 +1,267 @@
+// NOISE FUNCTIONS ==========================================================================
+/**
+ * Creates shuffled permutation table of numbers 0-255 ( repeated twice to avoid
+ * index wrapping ) used by all noise functions, the same random generator state
+ * always gives the same table
+ * @param { function } random: seeded generator created by create_random
+ * @returns permutation table
+ */
+export function create_permutation( random ) {
+    const perm = new Uint8Array( 512 );
+    for ( var i = 0; i < 256; i++ )
+        perm[i] = i;
+
+    // Fisher-Yates shuffle
+    for ( var i = 255; i > 0; i-- ) {
+        const j = Math.floor( random()*( i + 1 ) );
+        const swap = perm[i];
+        perm[i] = perm[j];
+        perm[j] = swap;
+    }
+
+    for ( var i = 0; i < 256; i++ )
+        perm[i + 256] = perm[i];
+
+    return perm;
+}
+
+/**
+ * Smooth interpolation curve 6t^5 - 15t^4 + 10t^3
+ * @param { number } t: value from interval ( 0, 1 )
+ * @returns smoothed value
+ */
+function fade( t ) {
+    return t*t*t*( t*( t*6 - 15 ) + 10 );
+}
+
+/**
+ * Linear interpolation
+ * @param { number } a: value for t = 0
+ * @param { number } b: value for t = 1
+ * @param { number } t: interpolation parameter
+ * @returns interpolated value
+ */
+function lerp( a, b, t ) {
+    return a + ( b - a )*t;
+}
+
+/**
+ * Dot product of one of eight gradient directions chosen by hash and offset vector
+ * @param { number } hash: value from permutation table
+ * @param { number } x: x offset from lattice point
+ * @param { number } y: y offset from lattice point
+ * @returns dot product
+ */
+function gradient( hash, x, y ) {
+    switch ( hash & 7 ) {
+        case 0: return x + y;
+        case 1: return -x + y;
+        case 2: return x - y;
+        case 3: return -x - y;
+        case 4: return x;
+        case 5: return -x;
+        case 6: return y;
+        default: return -y;
+    }
+}
+
+/**
+ * Value noise, random values in lattice points are smoothly interpolated
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @returns noise value from interval ( -1, 1 )
+ */
+export function value_noise( perm, x, y ) {
+    const x0 = Math.floor( x );
+    const y0 = Math.floor( y );
+    const xi = x0 & 255;
+    const yi = y0 & 255;
+    const u = fade( x - x0 );
+    const v = fade( y - y0 );
+
+    const a = perm[perm[xi] + yi]/127.5 - 1;
+    const b = perm[perm[xi + 1] + yi]/127.5 - 1;
+    const c = perm[perm[xi] + yi + 1]/127.5 - 1;
+    const d = perm[perm[xi + 1] + yi + 1]/127.5 - 1;
+
+    return lerp( lerp( a, b, u ), lerp( c, d, u ), v );
+}
+
+/**
+ * Perlin ( gradient ) noise, random gradients in lattice points are smoothly interpolated
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @returns noise value from interval ( -1, 1 )
+ */
+export function perlin_noise( perm, x, y ) {
+    const x0 = Math.floor( x );
+    const y0 = Math.floor( y );
+    const xi = x0 & 255;
+    const yi = y0 & 255;
+    const xf = x - x0;
+    const yf = y - y0;
+    const u = fade( xf );
+    const v = fade( yf );
+
+    const a = gradient( perm[perm[xi] + yi], xf, yf );
+    const b = gradient( perm[perm[xi + 1] + yi], xf - 1, yf );
+    const c = gradient( perm[perm[xi] + yi + 1], xf, yf - 1 );
+    const d = gradient( perm[perm[xi + 1] + yi + 1], xf - 1, yf - 1 );
+
+    return lerp( lerp( a, b, u ), lerp( c, d, u ), v );
+}
+
+// skewing factors of 2D simplex grid
+const F2 = 0.5*( Math.sqrt( 3 ) - 1 );
+const G2 = ( 3 - Math.sqrt( 3 ) )/6;
+
+/**
+ * Simplex noise, gradients in corners of the triangle containing the point are summed
+ * with radial falloff ( Stefan Gustavson's implementation of Ken Perlin's simplex noise )
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @returns noise value from interval ( -1, 1 )
+ */
+export function simplex_noise( perm, x, y ) {
+    // skew the input space to find the simplex cell
+    const s = ( x + y )*F2;
+    const i = Math.floor( x + s );
+    const j = Math.floor( y + s );
+    const t = ( i + j )*G2;
+    const x0 = x - ( i - t );
+    const y0 = y - ( j - t );
+
+    // second corner of the triangle is in direction of the larger offset
+    const i1 = ( x0 > y0 ) ? 1 : 0;
+    const j1 = ( x0 > y0 ) ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2*G2;
+    const y2 = y0 - 1 + 2*G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    // contributions of the three corners
+    var n = 0;
+    var t0 = 0.5 - x0*x0 - y0*y0;
+    if ( t0 > 0 ) {
+        t0 *= t0;
+        n += t0*t0*gradient( perm[ii + perm[jj]], x0, y0 );
+    }
+
+    var t1 = 0.5 - x1*x1 - y1*y1;
+    if ( t1 > 0 ) {
+        t1 *= t1;
+        n += t1*t1*gradient( perm[ii + i1 + perm[jj + j1]], x1, y1 );
+    }
+
+    var t2 = 0.5 - x2*x2 - y2*y2;
+    if ( t2 > 0 ) {
+        t2 *= t2;
+        n += t2*t2*gradient( perm[ii + 1 + perm[jj + 1]], x2, y2 );
+    }
+
+    // scaling the result to interval ( -1, 1 )
+    return 70*n;
+}
+
+/**
+ * Worley ( cellular ) noise, distance to the closest feature point, every lattice cell
+ * contains one feature point randomly moved from the cell center
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @param { number } jitter: how far from cell center the feature points can be ( 0, 1 )
+ * @returns distance to the closest feature point from interval ( 0, 1.5 )
+ */
+export function worley_noise( perm, x, y, jitter ) {
+    const x0 = Math.floor( x );
+    const y0 = Math.floor( y );
+    var min_distance = Infinity;
+
+    // feature point of the closest cell can be only in the 3x3 neighborhood
+    for ( var dy = -1; dy <= 1; dy++ ) {
+        for ( var dx = -1; dx <= 1; dx++ ) {
+            const cx = x0 + dx;
+            const cy = y0 + dy;
+            const hash = perm[perm[cx & 255] + ( cy & 255 )];
+
+            const fx = cx + 0.5 + ( perm[hash]/255 - 0.5 )*jitter;
+            const fy = cy + 0.5 + ( perm[hash + 1]/255 - 0.5 )*jitter;
+            const distance = Math.hypot( fx - x, fy - y );
+
+            if ( distance < min_distance )
+                min_distance = distance;
+        }
+    }
+
+    return min_distance;
+}
+
+/**
+ * Fractional Brownian motion, sum of noise octaves with increasing frequency
+ * and decreasing amplitude
+ * @param { function } noise: basis noise function ( perm, x, y )
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @param { number } octaves: number of summed octaves
+ * @param { number } lacunarity: frequency multiplier between octaves
+ * @param { number } gain: amplitude multiplier between octaves
+ * @returns noise value from interval ( -1, 1 )
+ */
+export function fbm( noise, perm, x, y, octaves, lacunarity, gain ) {
+    var sum = 0;
+    var norm = 0;
+    var amplitude = 1;
+    var frequency = 1;
+
+    for ( var i = 0; i < octaves; i++ ) {
+        // octaves are shifted so their lattices do not align at the origin
+        sum += amplitude*noise( perm, x*frequency + i*17.31, y*frequency + i*9.73 );
+        norm += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum/norm;
+}
+
+/**
+ * Ridged multifractal ( F. K. Musgrave ), inverted absolute noise creates sharp ridges
+ * and every octave is weighted by the previous one so valleys stay smooth
+ * @param { function } noise: basis noise function ( perm, x, y )
+ * @param { Uint8Array } perm: permutation table
+ * @param { number } x
+ * @param { number } y
+ * @param { number } octaves: number of summed octaves
+ * @param { number } lacunarity: frequency multiplier between octaves
+ * @param { number } gain: amplitude multiplier between octaves
+ * @param { number } offset: ridge offset, higher values give wider ridges
+ * @returns noise value from interval ( 0, 1 )
+ */
+export function ridged_multifractal( noise, perm, x, y, octaves, lacunarity, gain, offset ) {
+    var sum = 0;
+    var norm = 0;
+    var amplitude = 1;
+    var frequency = 1;
+    var weight = 1;
+
+    for ( var i = 0; i < octaves; i++ ) {
+        var signal = offset - Math.abs( noise( perm, x*frequency + i*17.31, y*frequency + i*9.73 ) );
+        signal *= signal*weight;
+        weight = Math.min( Math.max( signal*2, 0 ), 1 );
+
+        sum += signal*amplitude;
+        norm += offset*offset*amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum/norm;
+}
@@ -0,0 +1,115 @@
+// AMBIENT OCCLUSION ========================================================================
+/**
+ * Adjustable parameters of ambient occlusion ( key, gui name, slider range and default value ),
+ * radius is the distance searched for the horizon in terrain units
+ */
+export const occlusion_params = [
+    { key: 'occlusion_radius', name: 'Radius', min: 1, max: 50, step: 0.5, value: 10 },
+    { key: 'occlusion_directions', name: 'Directions', min: 4, max: 16, step: 1, value: 8 }
+];
+
+// number of height samples along every direction, they are denser close to the point
+const samples = 12;
+
+/**
+ * Computes sample offsets in cells and their distances for every direction, offsets closer
+ * than one cell are left out because they would sample the point itself
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of occlusion_params
+ * @returns array of sample offsets { di, dj, distance } of every direction
+ */
+function sample_offsets( cell_size, params ) {
+    const offsets = [];
+    for ( var d = 0; d < params.occlusion_directions; d++ ) {
+        const angle = 2*Math.PI*d/params.occlusion_directions;
+        const steps = [];
+        for ( var s = 1; s <= samples; s++ ) {
+            const distance = params.occlusion_radius*( s/samples )*( s/samples );
+            const di = Math.round( -Math.sin( angle )*distance/cell_size );
+            const dj = Math.round( Math.cos( angle )*distance/cell_size );
+            if ( di != 0 || dj != 0 )
+                steps.push({ di: di, dj: dj, distance: Math.hypot( di, dj )*cell_size });
+        }
+        offsets.push( steps );
+    }
+
+    return offsets;
+}
+
+/**
+ * Computes visible part of the sky above one grid point
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } i: row of the point
+ * @param { number } j: column of the point
+ * @param { Array } offsets: sample offsets of every direction
+ * @returns visibility of the point
+ */
+function point_visibility( height_map, size, i, j, offsets ) {
+    const height = height_map[i*size + j];
+    var visibility = 0;
+
+    for ( var d = 0; d < offsets.length; d++ ) {
+        // tangent of the highest horizon, samples outside of the map are open sky
+        var horizon = 0;
+        const steps = offsets[d];
+        for ( var s = 0; s < steps.length; s++ ) {
+            const row = i + steps[s].di;
+            const col = j + steps[s].dj;
+            if ( row < 0 || col < 0 || row >= size || col >= size )
+                break;
+            horizon = Math.max( horizon, ( height_map[row*size + col] - height )/steps[s].distance );
+        }
+
+        visibility += 1 - horizon/Math.sqrt( 1 + horizon*horizon );
+    }
+
+    return visibility/offsets.length;
+}
+
+/**
+ * Horizon based ambient occlusion of the height map, the highest horizon angle is searched
+ * in several directions around every grid point and the sky visible above the horizon is
+ * averaged ( 1 - sine of the horizon angle in every direction ), so crevices and valley
+ * floors get low values while peaks and ridges stay fully visible
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of occlusion_params
+ * @param { function } on_progress: optional callback receiving done fraction of rows
+ * @returns array of visibility ( 0 fully occluded, 1 open sky ) of every grid point
+ */
+export function compute_occlusion( height_map, cell_size, params, on_progress ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const occlusion = new Float32Array( height_map.length );
+    const offsets = sample_offsets( cell_size, params );
+
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ )
+            occlusion[i*size + j] = point_visibility( height_map, size, i, j, offsets );
+
+        if ( on_progress && ( ( i + 1 )%64 == 0 || i == size - 1 ) )
+            on_progress( ( i + 1 )/size );
+    }
+
+    return occlusion;
+}
+
+/**
+ * Computes ambient occlusion again around changed part of the height map, points within
+ * the radius see the changed heights on their horizon
+ * @param { Float32Array } occlusion: visibility of every grid point, it is changed in place
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of occlusion_params
+ * @param { Object } region: changed grid rectangle { i0, j0, i1, j1 } ( inclusive )
+ */
+export function update_occlusion_region( occlusion, height_map, cell_size, params, region ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const offsets = sample_offsets( cell_size, params );
+    const reach = Math.ceil( params.occlusion_radius/cell_size );
+
+    for ( var i = Math.max( region.i0 - reach, 0 ); i <= Math.min( region.i1 + reach, size - 1 ); i++ ) {
+        for ( var j = Math.max( region.j0 - reach, 0 ); j <= Math.min( region.j1 + reach, size - 1 ); j++ )
+            occlusion[i*size + j] = point_visibility( height_map, size, i, j, offsets );
+    }
+}
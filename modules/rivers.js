@@ -0,0 +1,344 @@
+// DRAINAGE =================================================================================
+// row and column offsets of the eight neighbors of a grid point
+const neighbor_rows = [ -1, -1, -1, 0, 0, 1, 1, 1 ];
+const neighbor_cols = [ -1, 0, 1, -1, 1, -1, 0, 1 ];
+
+/**
+ * Adds grid point to the binary min-heap ordered by the keys
+ * @param { Object } heap: heap { items, size }
+ * @param { Float32Array } keys: keys of all grid points
+ * @param { number } index: index of the added point
+ */
+function heap_push( heap, keys, index ) {
+    const items = heap.items;
+    var k = heap.size++;
+    while ( k > 0 ) {
+        const parent = ( k - 1 ) >> 1;
+        if ( keys[items[parent]] <= keys[index] )
+            break;
+        items[k] = items[parent];
+        k = parent;
+    }
+    items[k] = index;
+}
+
+/**
+ * Removes grid point with the lowest key from the binary min-heap
+ * @param { Object } heap: heap { items, size }
+ * @param { Float32Array } keys: keys of all grid points
+ * @returns index of the removed point
+ */
+function heap_pop( heap, keys ) {
+    const items = heap.items;
+    const top = items[0];
+    const last = items[--heap.size];
+    var k = 0;
+    while ( true ) {
+        var child = 2*k + 1;
+        if ( child >= heap.size )
+            break;
+        if ( child + 1 < heap.size && keys[items[child + 1]] < keys[items[child]] )
+            child++;
+        if ( keys[last] <= keys[items[child]] )
+            break;
+        items[k] = items[child];
+        k = child;
+    }
+    items[k] = last;
+    return top;
+}
+
+/**
+ * Fills depressions of the height map so that water can drain from every grid point over
+ * the map edge ( priority-flood, R. Barnes et al. ), the flood starts at the edges and grows
+ * over the lowest points first, every point drains to the point it was reached from and
+ * points in depressions are raised to the level of their spill point
+ * @param { Float32Array } height_map: array of heights
+ * @returns object with filled heights, receiver of every point ( -1 on the edge ) and order
+ *          of the points from the outlets upstream
+ */
+export function fill_depressions( height_map ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const count = height_map.length;
+    const filled = height_map.slice();
+    const receiver = new Int32Array( count ).fill( -1 );
+    const order = new Int32Array( count );
+    const visited = new Uint8Array( count );
+
+    // points inside a depression are flooded breadth-first from the spill point,
+    // so flats drain along straight lines
+    const heap = { items: new Int32Array( count ), size: 0 };
+    const pit = new Int32Array( count );
+    var pit_start = 0, pit_end = 0;
+
+    for ( var i = 0; i < size; i++ ) {
+        for ( var j = 0; j < size; j++ ) {
+            if ( i == 0 || j == 0 || i == size - 1 || j == size - 1 ) {
+                visited[i*size + j] = 1;
+                heap_push( heap, filled, i*size + j );
+            }
+        }
+    }
+
+    var done = 0;
+    while ( pit_start < pit_end || heap.size > 0 ) {
+        const index = ( pit_start < pit_end ) ? pit[pit_start++] : heap_pop( heap, filled );
+        order[done++] = index;
+
+        const i = Math.floor( index/size );
+        const j = index - i*size;
+        for ( var n = 0; n < 8; n++ ) {
+            const row = i + neighbor_rows[n];
+            const col = j + neighbor_cols[n];
+            if ( row < 0 || col < 0 || row >= size || col >= size )
+                continue;
+            const neighbor = row*size + col;
+            if ( visited[neighbor] )
+                continue;
+
+            visited[neighbor] = 1;
+            receiver[neighbor] = index;
+            if ( filled[neighbor] <= filled[index] ) {
+                filled[neighbor] = filled[index];
+                pit[pit_end++] = neighbor;
+            } else {
+                heap_push( heap, filled, neighbor );
+            }
+        }
+    }
+
+    return { filled: filled, receiver: receiver, order: order };
+}
+
+/**
+ * Computes number of grid points draining through every point ( flow accumulation ),
+ * points are visited from the sources downstream
+ * @param { Object } drainage: result of fill_depressions
+ * @returns array of accumulated flow of every point ( 1 at the sources )
+ */
+export function accumulate_flow( drainage ) {
+    const flow = new Float32Array( drainage.order.length ).fill( 1 );
+    for ( var k = drainage.order.length - 1; k >= 0; k-- ) {
+        const index = drainage.order[k];
+        if ( drainage.receiver[index] >= 0 )
+            flow[drainage.receiver[index]] += flow[index];
+    }
+
+    return flow;
+}
+
+// RIVERS ===================================================================================
+/**
+ * Adjustable parameters of rivers ( key, gui name, slider range and default value ),
+ * threshold is the fraction of the map which has to drain through a point to make it
+ * a river, depth and width are in terrain units at the threshold and grow downstream
+ */
+export const river_params = [
+    { key: 'river_threshold', name: 'Threshold', min: 0.001, max: 0.05, step: 0.001, value: 0.005 },
+    { key: 'river_depth', name: 'Depth', min: 0.1, max: 5, step: 0.1, value: 1 },
+    { key: 'river_width', name: 'Width', min: 0.2, max: 5, step: 0.1, value: 1 }
+];
+
+// rivers grow with square root of the flow up to this multiple of the threshold size
+const max_growth = 3;
+// water surface lies at this fraction of the channel depth below the banks
+const surface_level = 0.4;
+
+/**
+ * Carves river channels into the height map where the accumulated flow is above
+ * the threshold and builds water ribbons following the rivers, channels have parabolic
+ * profile, water surface never rises downstream and rivers crossing depressions
+ * flow at the level of the spill point unless it is above the ground of the depression
+ * @param { Float32Array } height_map: array of heights, the channels are carved in place
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of river_params
+ * @param { function } on_progress: optional callback receiving done fraction of the pass
+ * @returns ribbon geometry arrays { positions, uvs, indices } in terrain mesh coordinates
+ *          or null when there is no river
+ */
+export function carve_rivers( height_map, cell_size, params, on_progress ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const drainage = fill_depressions( height_map );
+    const flow = accumulate_flow( drainage );
+    const threshold = Math.max( 2, params.river_threshold*height_map.length );
+    if ( on_progress )
+        on_progress( 0.4 );
+
+    /**
+     * Gets size of the river relative to its size at the threshold
+     * @param { number } index: index of the river point
+     * @returns growth factor
+     */
+    const growth = function( index ) {
+        return Math.min( Math.sqrt( flow[index]/threshold ), max_growth );
+    };
+
+    // channels are carved around every river point, deeper in the middle, below the ground
+    // of the point ( not its filled level ), so they are cut into floors of depressions too
+    const ground = height_map.slice();
+    const river = new Uint8Array( height_map.length );
+    for ( var index = 0; index < height_map.length; index++ ) {
+        if ( flow[index] < threshold )
+            continue;
+        river[index] = 1;
+
+        const i = Math.floor( index/size );
+        const j = index - i*size;
+        const radius = 0.5*params.river_width*growth( index );
+        const depth = params.river_depth*growth( index );
+        const cells = Math.ceil( radius/cell_size );
+        for ( var row = Math.max( i - cells, 0 ); row <= Math.min( i + cells, size - 1 ); row++ ) {
+            for ( var col = Math.max( j - cells, 0 ); col <= Math.min( j + cells, size - 1 ); col++ ) {
+                const distance = Math.hypot( row - i, col - j )*cell_size/radius;
+                if ( distance > 1 )
+                    continue;
+                const bed = ground[index] - depth*( 1 - distance*distance );
+                height_map[row*size + col] = Math.min( height_map[row*size + col], bed );
+            }
+        }
+    }
+    if ( on_progress )
+        on_progress( 0.7 );
+
+    // paths start at river sources ( without river upstream ) and end at the map edge
+    // or where they join a river traced before
+    const tributaries = new Uint8Array( height_map.length );
+    for ( var index = 0; index < height_map.length; index++ ) {
+        if ( river[index] && drainage.receiver[index] >= 0 )
+            tributaries[drainage.receiver[index]] = 1;
+    }
+
+    const traced = new Uint8Array( height_map.length );
+    const paths = [];
+    for ( var index = 0; index < height_map.length; index++ ) {
+        if ( !river[index] || tributaries[index] )
+            continue;
+
+        const path = [];
+        var point = index;
+        while ( point >= 0 ) {
+            path.push( point );
+            if ( traced[point] )
+                break;
+            traced[point] = 1;
+            point = drainage.receiver[point];
+        }
+        if ( path.length > 1 )
+            paths.push( path );
+    }
+
+    const ribbons = build_ribbons( paths, height_map, drainage.filled, size, cell_size, params, growth );
+    if ( on_progress )
+        on_progress( 1 );
+
+    return ribbons;
+}
+
+/**
+ * Gets height of the height map at any point of the terrain plane, interpolated between
+ * the four closest grid points
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { number } x: x coordinate in coordinates of the terrain mesh
+ * @param { number } y: y coordinate in coordinates of the terrain mesh
+ * @returns interpolated height
+ */
+function ground_height( height_map, size, cell_size, x, y ) {
+    const fi = Math.min( Math.max( ( 50 - y )/cell_size, 0 ), size - 1 );
+    const fj = Math.min( Math.max( ( x + 50 )/cell_size, 0 ), size - 1 );
+    const i0 = Math.min( Math.floor( fi ), size - 2 );
+    const j0 = Math.min( Math.floor( fj ), size - 2 );
+    const di = fi - i0, dj = fj - j0;
+
+    return ( height_map[i0*size + j0]*( 1 - dj ) + height_map[i0*size + j0 + 1]*dj )*( 1 - di ) +
+           ( height_map[( i0 + 1 )*size + j0]*( 1 - dj ) + height_map[( i0 + 1 )*size + j0 + 1]*dj )*di;
+}
+
+/**
+ * Builds water ribbons along river paths, the paths are smoothed so they do not follow
+ * the grid directions, the ribbon is never above the carved ground under its vertices,
+ * so it does not hang in the air over floors of filled depressions
+ * @param { Array } paths: arrays of grid point indices from the source downstream
+ * @param { Float32Array } height_map: heights with carved channels
+ * @param { Float32Array } filled: heights with filled depressions
+ * @param { number } size: size of matrix(height map side)
+ * @param { number } cell_size: distance between grid points in terrain units
+ * @param { Object } params: values of river_params
+ * @param { function } growth: function returning growth factor of the river point
+ * @returns ribbon geometry arrays { positions, uvs, indices } or null without paths
+ */
+function build_ribbons( paths, height_map, filled, size, cell_size, params, growth ) {
+    if ( paths.length == 0 )
+        return null;
+
+    var vertex_count = 0, index_count = 0;
+    paths.forEach( function( path ) {
+        vertex_count += 2*path.length;
+        index_count += 6*( path.length - 1 );
+    } );
+
+    const positions = new Float32Array( vertex_count*3 );
+    const uvs = new Float32Array( vertex_count*2 );
+    const indices = new Uint32Array( index_count );
+    var vertex = 0, triangle = 0;
+
+    paths.forEach( function( path ) {
+        // points in coordinates of the terrain mesh with water level and half width
+        // of the ribbon, it reaches a bit into the banks so there are no gaps
+        const x = [], y = [], z = [], half = [];
+        path.forEach( function( index ) {
+            const i = Math.floor( index/size );
+            x.push( -50 + ( index - i*size )*cell_size );
+            y.push( 50 - i*cell_size );
+            z.push( filled[index] - surface_level*params.river_depth*growth( index ) );
+            half.push( 0.4*params.river_width*growth( index ) );
+        } );
+
+        // two passes of the [ 1 2 1 ] filter, ends of the path stay in place
+        for ( var pass = 0; pass < 2; pass++ ) {
+            [ x, y, z ].forEach( function( values ) {
+                var previous = values[0];
+                for ( var k = 1; k < values.length - 1; k++ ) {
+                    const current = values[k];
+                    values[k] = 0.25*previous + 0.5*current + 0.25*values[k + 1];
+                    previous = current;
+                }
+            } );
+        }
+
+        const first = vertex;
+        var length = 0;
+        for ( var k = 0; k < path.length; k++ ) {
+            if ( k > 0 ) {
+                z[k] = Math.min( z[k], z[k - 1] );
+                length += Math.hypot( x[k] - x[k - 1], y[k] - y[k - 1] );
+            }
+
+            // ribbon is perpendicular to the direction between the neighboring points
+            const previous = Math.max( k - 1, 0 );
+            const next = Math.min( k + 1, path.length - 1 );
+            const dx = x[next] - x[previous];
+            const dy = y[next] - y[previous];
+            const norm = Math.hypot( dx, dy );
+            const side_x = -dy/norm*half[k];
+            const side_y = dx/norm*half[k];
+
+            // inside depressions the ground is below the spill point, the ribbon follows it
+            // there and does not change the level downstream
+            const left = Math.min( z[k], ground_height( height_map, size, cell_size, x[k] + side_x, y[k] + side_y ) );
+            const right = Math.min( z[k], ground_height( height_map, size, cell_size, x[k] - side_x, y[k] - side_y ) );
+            positions.set( [ x[k] + side_x, y[k] + side_y, left, x[k] - side_x, y[k] - side_y, right ], vertex*3 );
+            uvs.set( [ 0, length/params.river_width, 1, length/params.river_width ], vertex*2 );
+            vertex += 2;
+        }
+
+        for ( var k = 0; k < path.length - 1; k++ ) {
+            const a = first + 2*k;
+            indices.set( [ a, a + 1, a + 2, a + 1, a + 3, a + 2 ], triangle );
+            triangle += 6;
+        }
+    } );
+
+    return { positions: positions, uvs: uvs, indices: indices };
+}
@@ -0,0 +1,214 @@
+import * as THREE from "./three.module.js"
+import { create_random } from "./generation.js"
+import { distance_to_water } from "./biomes.js"
+
+// SCATTER CATEGORIES =======================================================================
+/**
+ * Categories of objects scattered over the terrain, every category has key of its density
+ * in scatter_params and placement rules: altitude range above the water level and range
+ * of distance from water ( terrain units ), slope range ( degrees ) and range of random
+ * scale of the objects
+ */
+export const scatter_categories = [
+    { key: 'trees', name: 'Trees', density: 'tree_density',
+      min_altitude: 0.5, max_altitude: 15, min_slope: 0, max_slope: 35,
+      min_water: 1, max_water: 25, min_scale: 0.7, max_scale: 1.3 },
+    { key: 'bushes', name: 'Bushes', density: 'bush_density',
+      min_altitude: 0.2, max_altitude: 22, min_slope: 0, max_slope: 45,
+      min_water: 0.5, max_water: Infinity, min_scale: 0.6, max_scale: 1.4 },
+    { key: 'rocks', name: 'Rocks', density: 'rock_density',
+      min_altitude: 0, max_altitude: Infinity, min_slope: 30, max_slope: 90,
+      min_water: 0.5, max_water: Infinity, min_scale: 0.5, max_scale: 2 }
+];
+
+/**
+ * Adjustable parameters of scattering ( key, gui name, slider range and default value ),
+ * density is number of tried positions per 100 square terrain units, positions breaking
+ * rules of the category stay empty
+ */
+export const scatter_params = [
+    { key: 'tree_density', name: 'Tree Density', min: 0, max: 50, step: 0.5, value: 15 },
+    { key: 'bush_density', name: 'Bush Density', min: 0, max: 50, step: 0.5, value: 10 },
+    { key: 'rock_density', name: 'Rock Density', min: 0, max: 50, step: 0.5, value: 4 }
+];
+
+// objects are tinted randomly by up to this fraction of their color
+const tint_range = 0.15;
+
+/**
+ * Merges parts of one object into single geometry colored by vertex colors, parts are
+ * modelled with y axis up and turned so the object stands on the terrain plane along z
+ * @param { Array } parts: parts { geometry, color }
+ * @returns merged non-indexed geometry
+ */
+function merge_parts( parts ) {
+    const positions = [], normals = [], colors = [];
+    parts.forEach( function( part ) {
+        const geometry = ( part.geometry.index !== null ) ? part.geometry.toNonIndexed() : part.geometry;
+        geometry.rotateX( Math.PI/2 );
+        geometry.computeVertexNormals();
+
+        const color = new THREE.Color( part.color );
+        const part_positions = geometry.getAttribute( 'position' );
+        const part_normals = geometry.getAttribute( 'normal' );
+        for ( var k = 0; k < part_positions.count; k++ ) {
+            positions.push( part_positions.getX( k ), part_positions.getY( k ), part_positions.getZ( k ) );
+            normals.push( part_normals.getX( k ), part_normals.getY( k ), part_normals.getZ( k ) );
+            colors.push( color.r, color.g, color.b );
+        }
+    } );
+
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute( 'position', new THREE.Float32BufferAttribute( positions, 3 ) );
+    merged.setAttribute( 'normal', new THREE.Float32BufferAttribute( normals, 3 ) );
+    merged.setAttribute( 'color', new THREE.Float32BufferAttribute( colors, 3 ) );
+    return merged;
+}
+
+/**
+ * Creates low polygon geometry of every category, objects stand at the origin
+ * @returns geometries by category keys
+ */
+export function create_scatter_geometries() {
+    return {
+        trees: merge_parts( [
+            { geometry: new THREE.CylinderGeometry( 0.08, 0.12, 0.6, 5 ).translate( 0, 0.3, 0 ), color: 0x6b4a2b },
+            { geometry: new THREE.ConeGeometry( 0.5, 1.4, 7 ).translate( 0, 1.2, 0 ), color: 0x2f5d2a }
+        ] ),
+        bushes: merge_parts( [
+            { geometry: new THREE.IcosahedronGeometry( 0.35, 0 ).scale( 1, 0.7, 1 ).translate( 0, 0.2, 0 ),
+              color: 0x4f7a35 }
+        ] ),
+        rocks: merge_parts( [
+            { geometry: new THREE.DodecahedronGeometry( 0.45, 0 ).scale( 1, 0.6, 0.8 ).translate( 0, 0.1, 0 ),
+              color: 0x7d7a73 }
+        ] )
+    };
+}
+
+// SCATTERING ===============================================================================
+/**
+ * Places objects of every category at random positions of the terrain which satisfy rules
+ * of the category, every category has its own random sequence, so changing density of one
+ * category does not move the others and higher density keeps the objects placed before
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } water_level: height of the water plane
+ * @param { Uint8Array } wet: 1 for grid points covered by rivers or lakes or null
+ * @param { Object } params: values of scatter_params
+ * @param { number } seed: seed of the placement
+ * @returns placed objects { matrices, colors, count } by category keys, matrices place
+ *          the objects in coordinates of the terrain mesh
+ */
+export function scatter_objects( height_map, water_level, wet, params, seed ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const cell_size = 100/( size - 1 );
+    const distance = distance_to_water( height_map, water_level, wet );
+
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const up = new THREE.Vector3( 0, 0, 1 );
+
+    const placed = {};
+    scatter_categories.forEach( function( category, c ) {
+        const random = create_random( ( seed ^ Math.imul( c + 1, 0x9e3779b9 ) ) >>> 0 );
+        const tries = Math.round( params[category.density]*100 );
+        const matrices = new Float32Array( tries*16 );
+        const colors = new Float32Array( tries*3 );
+        var count = 0;
+
+        for ( var t = 0; t < tries; t++ ) {
+            // all random values are drawn for every try, so the sequence does not depend on the rules
+            const x = -50 + random()*100;
+            const y = -50 + random()*100;
+            const angle = random()*2*Math.PI;
+            const factor = category.min_scale + random()*( category.max_scale - category.min_scale );
+            const tint = 1 + ( 2*random() - 1 )*tint_range;
+
+            // height is interpolated between four grid points, slope and water distance
+            // are taken from the closest one
+            const fi = Math.min( ( 50 - y )/cell_size, size - 1 );
+            const fj = Math.min( ( x + 50 )/cell_size, size - 1 );
+            const i0 = Math.min( Math.floor( fi ), size - 2 );
+            const j0 = Math.min( Math.floor( fj ), size - 2 );
+            const di = fi - i0, dj = fj - j0;
+            const height = ( height_map[i0*size + j0]*( 1 - dj ) + height_map[i0*size + j0 + 1]*dj )*( 1 - di ) +
+                           ( height_map[( i0 + 1 )*size + j0]*( 1 - dj ) + height_map[( i0 + 1 )*size + j0 + 1]*dj )*di;
+
+            const i = Math.round( fi ), j = Math.round( fj );
+            const left = height_map[i*size + Math.max( j - 1, 0 )];
+            const right = height_map[i*size + Math.min( j + 1, size - 1 )];
+            const above = height_map[Math.max( i - 1, 0 )*size + j];
+            const below = height_map[Math.min( i + 1, size - 1 )*size + j];
+            const slope = Math.atan( Math.hypot( right - left, below - above )/( 2*cell_size ) )*180/Math.PI;
+
+            const altitude = height - water_level;
+            const water = distance[i*size + j];
+            if ( altitude < category.min_altitude || altitude > category.max_altitude ||
+                 slope < category.min_slope || slope > category.max_slope ||
+                 water < category.min_water || water > category.max_water )
+                continue;
+
+            position.set( x, y, height );
+            rotation.setFromAxisAngle( up, angle );
+            scale.setScalar( factor );
+            matrix.compose( position, rotation, scale ).toArray( matrices, count*16 );
+            colors.set( [ tint, tint, tint ], count*3 );
+            count++;
+        }
+
+        placed[category.key] = {
+            matrices: matrices.slice( 0, count*16 ),
+            colors: colors.slice( 0, count*3 ),
+            count: count
+        };
+    } );
+
+    return placed;
+}
+
+/**
+ * Merges all instances of instanced mesh into single geometry, so it can be exported
+ * to formats without instancing, instance colors are multiplied into vertex colors
+ * @param { THREE.InstancedMesh } mesh: instanced mesh with non-indexed colored geometry
+ * @returns geometry of all instances
+ */
+export function merge_instances( mesh ) {
+    const source = mesh.geometry;
+    const source_positions = source.getAttribute( 'position' );
+    const source_normals = source.getAttribute( 'normal' );
+    const source_colors = source.getAttribute( 'color' );
+    const count = source_positions.count;
+
+    const positions = new Float32Array( mesh.count*count*3 );
+    const normals = new Float32Array( mesh.count*count*3 );
+    const colors = new Float32Array( mesh.count*count*3 );
+    const matrix = new THREE.Matrix4();
+    const normal_matrix = new THREE.Matrix3();
+    const vector = new THREE.Vector3();
+    const tint = new THREE.Color( 1, 1, 1 );
+
+    for ( var n = 0; n < mesh.count; n++ ) {
+        mesh.getMatrixAt( n, matrix );
+        normal_matrix.getNormalMatrix( matrix );
+        if ( mesh.instanceColor !== null )
+            mesh.getColorAt( n, tint );
+
+        for ( var k = 0; k < count; k++ ) {
+            const index = ( n*count + k )*3;
+            vector.fromBufferAttribute( source_positions, k ).applyMatrix4( matrix ).toArray( positions, index );
+            vector.fromBufferAttribute( source_normals, k ).applyMatrix3( normal_matrix ).normalize()
+                  .toArray( normals, index );
+            colors[index] = source_colors.getX( k )*tint.r;
+            colors[index + 1] = source_colors.getY( k )*tint.g;
+            colors[index + 2] = source_colors.getZ( k )*tint.b;
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute( 'position', new THREE.BufferAttribute( positions, 3 ) );
+    geometry.setAttribute( 'normal', new THREE.BufferAttribute( normals, 3 ) );
+    geometry.setAttribute( 'color', new THREE.BufferAttribute( colors, 3 ) );
+    return geometry;
+}
@@ -0,0 +1,17 @@
+import { scatter_objects } from "./scatter.js"
+
+// SCATTER WORKER ===========================================================================
+/**
+ * Places scattered objects on the height map in background, so changing the water level
+ * or densities does not block the rendering, matrices and colors of the objects are
+ * transferred back to the main thread without copying
+ */
+self.onmessage = function( event ) {
+    const job = event.data;
+    const placed = scatter_objects( job.height_map, job.water_level, job.wet, job.params, job.seed );
+
+    const transfer = [];
+    for ( const key in placed )
+        transfer.push( placed[key].matrices.buffer, placed[key].colors.buffer );
+    self.postMessage({ id: job.id, placed: placed }, transfer );
+}
@@ -0,0 +1,216 @@
+import { simplex_noise } from "./noise.js"
+
+// BRUSHES ==================================================================================
+// types of the sculpting brushes offered in gui
+export const brush_types = { Raise: 'raise', Lower: 'lower', Smooth: 'smooth', Flatten: 'flatten', Noise: 'noise' };
+
+/**
+ * Adjustable parameters of the brush ( key, gui name, slider range and default value ),
+ * radius is in terrain units, falloff is the outer fraction of the radius where the brush
+ * fades out ( 0 hard edge, 1 fading from the center )
+ */
+export const brush_params = [
+    { key: 'brush_radius', name: 'Radius', min: 0.5, max: 25, step: 0.5, value: 5 },
+    { key: 'brush_strength', name: 'Strength', min: 0.05, max: 1, step: 0.05, value: 0.5 },
+    { key: 'brush_falloff', name: 'Falloff', min: 0, max: 1, step: 0.05, value: 0.5 }
+];
+
+// raise, lower and noise brushes at full strength move the terrain by this many units per second
+const height_rate = 10;
+// smooth and flatten brushes at full strength close this fraction of the gap per second
+const blend_rate = 5;
+// frequency of the noise brush features per terrain unit
+const noise_frequency = 0.25;
+
+/**
+ * Gets weight of the brush at the distance from its center, full weight inside
+ * the falloff and smooth fade to zero at the radius
+ * @param { number } distance: distance from the brush center in terrain units
+ * @param { number } radius: radius of the brush
+ * @param { number } falloff: outer fraction of the radius where the brush fades out
+ * @returns weight from 0 to 1
+ */
+function brush_weight( distance, radius, falloff ) {
+    const inner = radius*( 1 - falloff );
+    if ( distance <= inner )
+        return 1;
+    if ( distance >= radius )
+        return 0;
+
+    const t = ( distance - inner )/( radius - inner );
+    return 1 - t*t*( 3 - 2*t );
+}
+
+/**
+ * Gets height of the height map at any point of the terrain plane, interpolated between
+ * the four closest grid points
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } x: x coordinate in coordinates of the terrain mesh
+ * @param { number } y: y coordinate in coordinates of the terrain mesh
+ * @returns interpolated height
+ */
+export function sample_height( height_map, x, y ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const cell_size = 100/( size - 1 );
+    const fi = Math.min( Math.max( ( 50 - y )/cell_size, 0 ), size - 1 );
+    const fj = Math.min( Math.max( ( x + 50 )/cell_size, 0 ), size - 1 );
+    const i0 = Math.min( Math.floor( fi ), size - 2 );
+    const j0 = Math.min( Math.floor( fj ), size - 2 );
+    const di = fi - i0, dj = fj - j0;
+
+    return ( height_map[i0*size + j0]*( 1 - dj ) + height_map[i0*size + j0 + 1]*dj )*( 1 - di ) +
+           ( height_map[( i0 + 1 )*size + j0]*( 1 - dj ) + height_map[( i0 + 1 )*size + j0 + 1]*dj )*di;
+}
+
+/**
+ * Applies one step of the brush to the height map in place, smooth brush moves every point
+ * towards the average of its neighbors, flatten brush towards the target height
+ * @param { Float32Array } height_map: array of heights
+ * @param { number } x: x coordinate of the brush center in coordinates of the terrain mesh
+ * @param { number } y: y coordinate of the brush center in coordinates of the terrain mesh
+ * @param { Object } brush: brush type and values of brush_params
+ * @param { number } delta: duration of the step in seconds
+ * @param { Object } stroke: stroke { target, perm } with height of the flatten brush and
+ *                           permutation table of the noise brush
+ * @returns changed grid rectangle { i0, j0, i1, j1 } ( inclusive ) or null when the brush
+ *          misses the height map
+ */
+export function apply_brush( height_map, x, y, brush, delta, stroke ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const cell_size = 100/( size - 1 );
+    const radius = brush.brush_radius;
+
+    const region = {
+        i0: Math.max( Math.ceil( ( 50 - y - radius )/cell_size ), 0 ),
+        j0: Math.max( Math.ceil( ( x + 50 - radius )/cell_size ), 0 ),
+        i1: Math.min( Math.floor( ( 50 - y + radius )/cell_size ), size - 1 ),
+        j1: Math.min( Math.floor( ( x + 50 + radius )/cell_size ), size - 1 )
+    };
+    if ( region.i0 > region.i1 || region.j0 > region.j1 )
+        return null;
+
+    // smoothing reads the neighbors before they are changed in this step from the copy
+    // of the region grown by one point on every side
+    const copy_i0 = Math.max( region.i0 - 1, 0 ), copy_i1 = Math.min( region.i1 + 1, size - 1 );
+    const copy_j0 = Math.max( region.j0 - 1, 0 ), copy_j1 = Math.min( region.j1 + 1, size - 1 );
+    const copy_size = copy_j1 - copy_j0 + 1;
+    var source = null;
+    if ( brush.brush == 'smooth' ) {
+        source = new Float32Array( ( copy_i1 - copy_i0 + 1 )*copy_size );
+        for ( var i = copy_i0; i <= copy_i1; i++ )
+            source.set( height_map.subarray( i*size + copy_j0, i*size + copy_j1 + 1 ), ( i - copy_i0 )*copy_size );
+    }
+    const step = brush.brush_strength*delta;
+
+    for ( var i = region.i0; i <= region.i1; i++ ) {
+        for ( var j = region.j0; j <= region.j1; j++ ) {
+            const px = -50 + j*cell_size;
+            const py = 50 - i*cell_size;
+            const weight = brush_weight( Math.hypot( px - x, py - y ), radius, brush.brush_falloff );
+            if ( weight == 0 )
+                continue;
+
+            const index = i*size + j;
+            const blend = Math.min( blend_rate*step*weight, 1 );
+            if ( brush.brush == 'raise' ) {
+                height_map[index] += height_rate*step*weight;
+            } else if ( brush.brush == 'lower' ) {
+                height_map[index] -= height_rate*step*weight;
+            } else if ( brush.brush == 'noise' ) {
+                height_map[index] += height_rate*step*weight*
+                                     simplex_noise( stroke.perm, px*noise_frequency, py*noise_frequency );
+            } else if ( brush.brush == 'flatten' ) {
+                height_map[index] += ( stroke.target - height_map[index] )*blend;
+            } else {
+                var sum = 0, count = 0;
+                for ( var row = Math.max( i - 1, 0 ); row <= Math.min( i + 1, size - 1 ); row++ ) {
+                    for ( var col = Math.max( j - 1, 0 ); col <= Math.min( j + 1, size - 1 ); col++ ) {
+                        sum += source[( row - copy_i0 )*copy_size + col - copy_j0];
+                        count++;
+                    }
+                }
+                height_map[index] += ( sum/count - source[( i - copy_i0 )*copy_size + j - copy_j0] )*blend;
+            }
+        }
+    }
+
+    return region;
+}
+
+// MESH UPDATE ==============================================================================
+/**
+ * Copies changed heights into the terrain plane geometry and computes normals of the changed
+ * vertices and their neighbors the same way as computeVertexNormals ( sum of normals
+ * of the adjacent triangles ), so the rest of the geometry is not touched
+ * @param { THREE.BufferGeometry } geometry: plane geometry with one vertex per grid point
+ * @param { Float32Array } height_map: array of heights
+ * @param { Object } region: changed grid rectangle { i0, j0, i1, j1 }
+ */
+export function update_region( geometry, height_map, region ) {
+    const size = Math.round( Math.sqrt( height_map.length ) );
+    const positions = geometry.getAttribute( 'position' );
+    const normals = geometry.getAttribute( 'normal' );
+    const p = positions.array;
+    const n = normals.array;
+
+    for ( var i = region.i0; i <= region.i1; i++ ) {
+        for ( var j = region.j0; j <= region.j1; j++ )
+            p[( i*size + j )*3 + 2] = height_map[i*size + j];
+    }
+
+    // normals of vertices one step around the region change as well
+    const i0 = Math.max( region.i0 - 1, 0 ), i1 = Math.min( region.i1 + 1, size - 1 );
+    const j0 = Math.max( region.j0 - 1, 0 ), j1 = Math.min( region.j1 + 1, size - 1 );
+    for ( var i = i0; i <= i1; i++ ) {
+        for ( var j = j0; j <= j1; j++ )
+            n.fill( 0, ( i*size + j )*3, ( i*size + j )*3 + 3 );
+    }
+
+    /**
+     * Adds normal of the triangle to those of its vertices inside the updated rectangle
+     * @param { number } a: index of the first vertex
+     * @param { number } b: index of the second vertex
+     * @param { number } c: index of the third vertex
+     */
+    const add_triangle = function( a, b, c ) {
+        const abx = p[b*3] - p[a*3], aby = p[b*3 + 1] - p[a*3 + 1], abz = p[b*3 + 2] - p[a*3 + 2];
+        const acx = p[c*3] - p[a*3], acy = p[c*3 + 1] - p[a*3 + 1], acz = p[c*3 + 2] - p[a*3 + 2];
+        const nx = aby*acz - abz*acy;
+        const ny = abz*acx - abx*acz;
+        const nz = abx*acy - aby*acx;
+        [ a, b, c ].forEach( function( vertex ) {
+            const i = Math.floor( vertex/size );
+            const j = vertex - i*size;
+            if ( i >= i0 && i <= i1 && j >= j0 && j <= j1 ) {
+                n[vertex*3] += nx;
+                n[vertex*3 + 1] += ny;
+                n[vertex*3 + 2] += nz;
+            }
+        } );
+    };
+
+    // cells are split into two triangles the same way as in the plane geometry
+    for ( var i = Math.max( i0 - 1, 0 ); i <= Math.min( i1, size - 2 ); i++ ) {
+        for ( var j = Math.max( j0 - 1, 0 ); j <= Math.min( j1, size - 2 ); j++ ) {
+            const a = i*size + j;
+            const b = a + size;
+            const c = b + 1;
+            const d = a + 1;
+            add_triangle( a, b, d );
+            add_triangle( b, c, d );
+        }
+    }
+
+    for ( var i = i0; i <= i1; i++ ) {
+        for ( var j = j0; j <= j1; j++ ) {
+            const index = ( i*size + j )*3;
+            const length = Math.hypot( n[index], n[index + 1], n[index + 2] ) || 1;
+            n[index] /= length;
+            n[index + 1] /= length;
+            n[index + 2] /= length;
+        }
+    }
+
+    positions.needsUpdate = true;
+    normals.needsUpdate = true;
+}
@@ -0,0 +1,81 @@
+import * as THREE from "./three.module.js"
+
+// SHADOW SETTINGS ==========================================================================
+// sizes of the shadow map offered in gui
+export const shadow_resolutions = { '512': 512, '1024': 1024, '2048': 2048, '4096': 4096 };
+
+/**
+ * Adjustable parameters of the shadows ( key, gui name, slider range and default value ),
+ * bias is in shadow map depth, normal bias in terrain units along the surface normal
+ * and softness is radius of the filter in shadow map texels
+ */
+export const shadow_params = [
+    { key: 'shadow_bias', name: 'Bias', min: -0.01, max: 0.01, step: 0.0001, value: -0.0005 },
+    { key: 'shadow_normal_bias', name: 'Normal Bias', min: 0, max: 1, step: 0.01, value: 0.05 },
+    { key: 'shadow_softness', name: 'Softness', min: 0, max: 8, step: 0.1, value: 1.5 }
+];
+
+/**
+ * Sets shadow of the light, shadow map of different size is freed and created again
+ * by the renderer
+ * @param { THREE.DirectionalLight } light: light casting the shadows
+ * @param { Object } settings: enabled switch, resolution and values of shadow_params
+ */
+export function setup_shadow( light, settings ) {
+    const shadow = light.shadow;
+    light.castShadow = settings.enabled;
+
+    // gui dropdown gives the resolution as text
+    const resolution = Number( settings.resolution );
+    if ( shadow.mapSize.x != resolution ) {
+        shadow.mapSize.set( resolution, resolution );
+        if ( shadow.map !== null ) {
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+    }
+
+    shadow.bias = settings.shadow_bias;
+    shadow.normalBias = settings.shadow_normal_bias;
+    shadow.radius = settings.shadow_softness;
+}
+
+// SHADOW FITTING ===========================================================================
+const corner = new THREE.Vector3();
+const light_box = new THREE.Box3();
+
+/**
+ * Fits orthographic shadow camera of the light tightly around the box, the camera keeps
+ * the light direction and only its bounds are changed, so the whole shadow map covers
+ * the box however the terrain is placed or rotated
+ * @param { THREE.DirectionalLight } light: light casting the shadows
+ * @param { THREE.Box3 } box: world bounding box of the shadow casters and receivers
+ */
+export function fit_shadow_camera( light, box ) {
+    if ( box.isEmpty() )
+        return;
+
+    // view matrix of the shadow camera is computed the same way as by the renderer
+    light.updateMatrixWorld();
+    light.target.updateMatrixWorld();
+    light.shadow.updateMatrices( light );
+    const camera = light.shadow.camera;
+
+    light_box.makeEmpty();
+    for ( var k = 0; k < 8; k++ ) {
+        corner.set( ( k & 1 ) ? box.max.x : box.min.x,
+                    ( k & 2 ) ? box.max.y : box.min.y,
+                    ( k & 4 ) ? box.max.z : box.min.z );
+        light_box.expandByPoint( corner.applyMatrix4( camera.matrixWorldInverse ) );
+    }
+
+    // camera looks along negative z axis, small margin keeps the box edges inside
+    const margin = 1;
+    camera.left = light_box.min.x - margin;
+    camera.right = light_box.max.x + margin;
+    camera.bottom = light_box.min.y - margin;
+    camera.top = light_box.max.y + margin;
+    camera.near = -light_box.max.z - margin;
+    camera.far = -light_box.min.z + margin;
+    camera.updateProjectionMatrix();
+}
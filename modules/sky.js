@@ -0,0 +1,291 @@
+import * as THREE from "./three.module.js"
+
+// SKY PARAMETERS ===========================================================================
+/**
+ * Adjustable parameters of the sky ( key, gui name, slider range and default value ), time
+ * is in hours, latitude in degrees and cycle speed in hours of the day per second
+ */
+export const sky_params = [
+    { key: 'time', name: 'Time of Day', min: 0, max: 24, step: 0.05, value: 12 },
+    { key: 'day', name: 'Day of Year', min: 1, max: 365, step: 1, value: 172 },
+    { key: 'latitude', name: 'Latitude', min: -90, max: 90, step: 1, value: 45 },
+    { key: 'cycle_speed', name: 'Cycle Speed', min: 0, max: 4, step: 0.05, value: 0.5 }
+];
+
+// ATMOSPHERIC SCATTERING ===================================================================
+// scattering coefficients of air molecules ( Rayleigh, per color channel ) and of aerosols
+// ( Mie ) in 1/km multiplied by their scale heights in km, i.e. optical depths at zenith
+const rayleigh_depth = new THREE.Vector3( 5.8e-3*8, 13.5e-3*8, 33.1e-3*8 );
+const mie_depth = 7e-3*1.2;
+// sun radiance relative to the displayed range and asymmetry of aerosol scattering
+const sun_radiance = 6;
+const mie_asymmetry = 0.76;
+// sky color when the sun is deep below the horizon
+const night_color = new THREE.Color( 0.01, 0.015, 0.04 );
+
+/**
+ * Gets relative air mass along the direction, 1 at zenith and about 38 at the horizon
+ * ( Kasten and Young formula ), directions below the horizon use the horizon value
+ * @param { number } cos_zenith: cosine of the angle between the direction and zenith
+ * @returns relative air mass
+ */
+function air_mass( cos_zenith ) {
+    const cosine = THREE.MathUtils.clamp( cos_zenith, 0, 1 );
+    const zenith = THREE.MathUtils.radToDeg( Math.acos( cosine ) );
+    return 1/( cosine + 0.50572*Math.pow( 96.07995 - zenith, -1.6364 ) );
+}
+
+/**
+ * Gets transmittance of the atmosphere along the direction
+ * @param { number } cos_zenith: cosine of the angle between the direction and zenith
+ * @param { THREE.Vector3 } target: vector receiving transmittance of every color channel
+ * @returns the target
+ */
+function transmittance( cos_zenith, target ) {
+    const mass = air_mass( cos_zenith );
+    return target.set( Math.exp( -( rayleigh_depth.x + mie_depth )*mass ),
+                       Math.exp( -( rayleigh_depth.y + mie_depth )*mass ),
+                       Math.exp( -( rayleigh_depth.z + mie_depth )*mass ) );
+}
+
+// sky shader computes the same single scattering approximation as sky_radiance for every pixel
+const sky_vertex = `
+varying vec3 v_direction;
+
+void main() {
+    // dome is centered on the camera, so the vertex position is the view direction
+    v_direction = position;
+    gl_Position = projectionMatrix*modelViewMatrix*vec4( position, 1.0 );
+}
+`;
+
+const sky_fragment = `
+varying vec3 v_direction;
+
+uniform vec3 sun_direction;
+uniform vec3 rayleigh_depth;
+uniform float mie_depth;
+uniform float sun_radiance;
+uniform float mie_asymmetry;
+uniform vec3 night_color;
+
+float air_mass( float cos_zenith ) {
+    float cosine = clamp( cos_zenith, 0.0, 1.0 );
+    float zenith = degrees( acos( cosine ) );
+    return 1.0/( cosine + 0.50572*pow( 96.07995 - zenith, -1.6364 ) );
+}
+
+vec3 transmittance( float cos_zenith ) {
+    return exp( -( rayleigh_depth + mie_depth )*air_mass( cos_zenith ) );
+}
+
+void main() {
+    vec3 direction = normalize( v_direction );
+    float cos_angle = dot( direction, sun_direction );
+
+    // phase functions of molecules and of aerosols ( Henyey-Greenstein )
+    float rayleigh_phase = 0.75*( 1.0 + cos_angle*cos_angle );
+    float g = mie_asymmetry;
+    float mie_phase = ( 1.0 - g*g )/pow( 1.0 + g*g - 2.0*g*cos_angle, 1.5 );
+
+    // sunlight fades out during twilight
+    vec3 sunlight = transmittance( sun_direction.y )*smoothstep( -0.1, 0.0, sun_direction.y )*sun_radiance;
+    vec3 scattering = ( rayleigh_depth*rayleigh_phase + mie_depth*mie_phase )/( rayleigh_depth + mie_depth );
+    vec3 radiance = sunlight*scattering*( 1.0 - transmittance( direction.y ) );
+
+    // sun disc seen through the atmosphere
+    radiance += sunlight*transmittance( direction.y )*smoothstep( 0.99995, 0.99999, cos_angle );
+
+    vec3 color = 1.0 - exp( -radiance ) + night_color;
+
+    // ground below the horizon is darker
+    color *= mix( 0.3, 1.0, smoothstep( -0.2, 0.0, direction.y ) );
+    gl_FragColor = vec4( color, 1.0 );
+}
+`;
+
+/**
+ * Gets color of the sky in the direction ( the same approximation as in the sky shader )
+ * @param { THREE.Vector3 } direction: normalized view direction
+ * @param { THREE.Vector3 } sun: normalized direction towards the sun
+ * @param { THREE.Color } target: color to be set
+ * @returns the target
+ */
+export function sky_radiance( direction, sun, target ) {
+    const cos_angle = direction.dot( sun );
+    const rayleigh_phase = 0.75*( 1 + cos_angle*cos_angle );
+    const g = mie_asymmetry;
+    const mie_phase = ( 1 - g*g )/Math.pow( 1 + g*g - 2*g*cos_angle, 1.5 );
+
+    const sunlight = transmittance( sun.y, new THREE.Vector3() )
+                        .multiplyScalar( THREE.MathUtils.smoothstep( sun.y, -0.1, 0 )*sun_radiance );
+    const view = transmittance( direction.y, new THREE.Vector3() );
+
+    /**
+     * Computes scattered light of one color channel
+     * @param { number } rayleigh: Rayleigh optical depth of the channel
+     * @param { number } light: sunlight of the channel
+     * @param { number } path: transmittance of the view direction
+     * @returns displayed value of the channel
+     */
+    const channel = function( rayleigh, light, path ) {
+        const scattering = ( rayleigh*rayleigh_phase + mie_depth*mie_phase )/( rayleigh + mie_depth );
+        return 1 - Math.exp( -light*scattering*( 1 - path ) );
+    };
+
+    return target.setRGB( channel( rayleigh_depth.x, sunlight.x, view.x ) + night_color.r,
+                          channel( rayleigh_depth.y, sunlight.y, view.y ) + night_color.g,
+                          channel( rayleigh_depth.z, sunlight.z, view.z ) + night_color.b );
+}
+
+// SUN POSITION =============================================================================
+/**
+ * Gets direction towards the sun, north is along negative z axis and east along x axis
+ * @param { number } time: local solar time in hours ( sun is highest at 12 )
+ * @param { number } day: day of the year
+ * @param { number } latitude: latitude in degrees
+ * @param { THREE.Vector3 } target: vector receiving the normalized direction
+ * @returns the target
+ */
+export function sun_direction( time, day, latitude, target ) {
+    const declination = THREE.MathUtils.degToRad( -23.44*Math.cos( 2*Math.PI*( day + 10 )/365 ) );
+    const hour_angle = THREE.MathUtils.degToRad( 15*( time - 12 ) );
+    const phi = THREE.MathUtils.degToRad( latitude );
+
+    const east = -Math.cos( declination )*Math.sin( hour_angle );
+    const north = Math.cos( phi )*Math.sin( declination ) -
+                  Math.sin( phi )*Math.cos( declination )*Math.cos( hour_angle );
+    const up = Math.sin( phi )*Math.sin( declination ) +
+               Math.cos( phi )*Math.cos( declination )*Math.cos( hour_angle );
+
+    return target.set( east, up, -north ).normalize();
+}
+
+// SKY ======================================================================================
+/**
+ * "Class" of the sky dome with the sun moving by time of day, it sets direction, color
+ * and intensity of the scene lights, the moon is opposite to the sun
+ */
+export class Sky {
+    /**
+     * Object constructor
+     * @param { THREE.Scene } scene: scene the sky dome is added to
+     * @param { THREE.AmbientLight } ambient_light: light lit by the sky
+     * @param { THREE.DirectionalLight } directional_light: light of the sun or moon
+     */
+    constructor( scene, ambient_light, directional_light ) {
+        this.scene = scene;
+        this.ambient_light = ambient_light;
+        this.directional_light = directional_light;
+
+        // lights and background used when the day/night cycle is off
+        this.fixed = {
+            ambient_color: ambient_light.color.clone(),
+            ambient_intensity: ambient_light.intensity,
+            light_color: directional_light.color.clone(),
+            light_intensity: directional_light.intensity,
+            light_position: directional_light.position.clone(),
+            background: scene.background
+        };
+
+        // day/night cycle switch ( off, so scenes shared before the cycle keep their lights ),
+        // play advances the time of day
+        this.enabled = false;
+        this.play = false;
+        sky_params.forEach( function( param ) { this[param.key] = param.value; }, this );
+
+        // direction towards the sun and color of the sky near the horizon ( e.g. for reflections )
+        this.sun = new THREE.Vector3();
+        this.horizon_color = new THREE.Color();
+
+        this.uniforms = {
+            sun_direction: { value: this.sun },
+            rayleigh_depth: { value: rayleigh_depth },
+            mie_depth: { value: mie_depth },
+            sun_radiance: { value: sun_radiance },
+            mie_asymmetry: { value: mie_asymmetry },
+            night_color: { value: night_color }
+        };
+
+        // dome is drawn first and does not hide anything, its radius is within the camera range
+        this.dome = new THREE.Mesh( new THREE.SphereGeometry( 450, 32, 16 ),
+                                    new THREE.ShaderMaterial({
+                                        uniforms: this.uniforms,
+                                        vertexShader: sky_vertex,
+                                        fragmentShader: sky_fragment,
+                                        side: THREE.BackSide,
+                                        depthTest: false,
+                                        depthWrite: false }));
+        this.dome.renderOrder = -1;
+        this.dome.frustumCulled = false;
+        scene.add( this.dome );
+
+        this.update();
+    }
+
+    /**
+     * Moves the time of day when the cycle is played
+     * @param { number } delta: elapsed time in seconds
+     * @returns true when the time changed
+     */
+    advance( delta ) {
+        if ( !this.enabled || !this.play || this.cycle_speed == 0 )
+            return false;
+
+        this.time = ( this.time + delta*this.cycle_speed )%24;
+        return true;
+    }
+
+    /** Moves the sun and sets the lights, fixed lights are restored when the cycle is off */
+    update() {
+        this.dome.visible = this.enabled;
+
+        if ( !this.enabled ) {
+            this.ambient_light.color.copy( this.fixed.ambient_color );
+            this.ambient_light.intensity = this.fixed.ambient_intensity;
+            this.directional_light.color.copy( this.fixed.light_color );
+            this.directional_light.intensity = this.fixed.light_intensity;
+            this.directional_light.position.copy( this.fixed.light_position );
+            this.scene.background = this.fixed.background;
+            return;
+        }
+
+        sun_direction( this.time, this.day, this.latitude, this.sun );
+        this.scene.background = null;
+
+        // the sun shines through the atmosphere, the dim moon takes over at night
+        const day = THREE.MathUtils.smoothstep( this.sun.y, 0, 0.15 );
+        const night = THREE.MathUtils.smoothstep( -this.sun.y, 0, 0.15 );
+        if ( this.sun.y >= 0 ) {
+            const light = transmittance( this.sun.y, new THREE.Vector3() );
+            light.divideScalar( Math.max( light.x, light.y, light.z ) );
+            this.directional_light.color.setRGB( light.x, light.y, light.z );
+            this.directional_light.intensity = 0.6*day;
+            this.directional_light.position.copy( this.sun ).multiplyScalar( 100 );
+        } else {
+            this.directional_light.color.setRGB( 0.6, 0.7, 1 );
+            this.directional_light.intensity = 0.12*night;
+            this.directional_light.position.copy( this.sun ).multiplyScalar( -100 );
+        }
+
+        // ambient light has color of the sky at zenith
+        const zenith = sky_radiance( new THREE.Vector3( 0, 1, 0 ), this.sun, new THREE.Color() );
+        this.ambient_light.color.copy( zenith ).multiplyScalar( 1/Math.max( zenith.r, zenith.g, zenith.b ) );
+        this.ambient_light.intensity = 0.1 + 0.4*day;
+
+        // reflections see the sky a bit above the horizon in the direction away from the sun
+        const horizon = new THREE.Vector3( -this.sun.x, 0, -this.sun.z );
+        if ( horizon.lengthSq() < 1e-6 )
+            horizon.set( 1, 0, 0 );
+        horizon.normalize().setY( 0.2 ).normalize();
+        sky_radiance( horizon, this.sun, this.horizon_color );
+    }
+
+    /**
+     * Keeps the dome centered on the camera
+     * @param { THREE.Camera } camera: camera rendering the scene
+     */
+    follow( camera ) {
+        this.dome.position.copy( camera.position );
+    }
+}
@@ -0,0 +1,189 @@
+import * as THREE from "./three.module.js"
+
+// SPLAT MATERIAL ===========================================================================
+/**
+ * Adjustable parameters of texture splatting ( key, gui name, slider range and default value ),
+ * heights are in terrain units and slopes in degrees
+ */
+export const splat_params = [
+    { key: 'rock_height', name: 'Rock Height', min: -50, max: 100, step: 0.5, value: 15 },
+    { key: 'snow_height', name: 'Snow Height', min: -50, max: 100, step: 0.5, value: 25 },
+    { key: 'height_blend', name: 'Height Blend', min: 0, max: 20, step: 0.1, value: 3 },
+    { key: 'rock_slope', name: 'Rock Slope', min: 0, max: 90, step: 1, value: 40 },
+    { key: 'slope_blend', name: 'Slope Blend', min: 0, max: 45, step: 1, value: 8 }
+];
+
+// vertex shader part passing texture coordinates, position and normal of the terrain before
+// the mesh rotation ( height is z coordinate and normal z component is flatness )
+const terrain_vertex_pars = `
+#ifdef USE_OCCLUSION
+    attribute float occlusion;
+    varying float v_occlusion;
+#endif
+
+#if defined( USE_SPLAT ) || defined( USE_TRIPLANAR )
+    varying vec2 v_terrain_uv;
+    varying vec3 v_terrain_position;
+    varying vec3 v_terrain_normal;
+#endif
+`;
+
+const terrain_vertex = `
+#ifdef USE_OCCLUSION
+    v_occlusion = occlusion;
+#endif
+
+#if defined( USE_SPLAT ) || defined( USE_TRIPLANAR )
+    v_terrain_uv = uv;
+    v_terrain_position = position;
+    v_terrain_normal = normal;
+#endif
+`;
+
+// textures are sampled with their own repeat, offset and rotation ( texture matrix ), triplanar
+// mapping projects the texture along all three axes instead of using texture coordinates and
+// blends the projections by the normal, so steep slopes are not stretched, projections are
+// scaled to the terrain side ( 100 ) so that repeats are the same as with texture coordinates
+const terrain_fragment_pars = `
+#ifdef USE_OCCLUSION
+    varying float v_occlusion;
+    uniform float occlusion_strength;
+#endif
+
+#if defined( USE_SPLAT ) || defined( USE_TRIPLANAR )
+    varying vec2 v_terrain_uv;
+    varying vec3 v_terrain_position;
+    varying vec3 v_terrain_normal;
+
+    uniform float triplanar_sharpness;
+
+    vec4 terrain_texture( sampler2D map, mat3 transform ) {
+        #ifdef USE_TRIPLANAR
+            vec3 weights = pow( abs( normalize( v_terrain_normal ) ), vec3( triplanar_sharpness ) );
+            weights /= weights.x + weights.y + weights.z;
+
+            vec3 projected = vec3( v_terrain_position.xy + 50.0, v_terrain_position.z )/100.0;
+            return texture2D( map, ( transform*vec3( projected.yz, 1.0 ) ).xy )*weights.x +
+                   texture2D( map, ( transform*vec3( projected.xz, 1.0 ) ).xy )*weights.y +
+                   texture2D( map, ( transform*vec3( projected.xy, 1.0 ) ).xy )*weights.z;
+        #else
+            return texture2D( map, ( transform*vec3( v_terrain_uv, 1.0 ) ).xy );
+        #endif
+    }
+#endif
+
+#ifdef USE_TRIPLANAR
+    uniform mat3 map_transform;
+#endif
+
+#ifdef USE_SPLAT
+    uniform sampler2D grass_map;
+    uniform sampler2D rock_map;
+    uniform sampler2D snow_map;
+    uniform mat3 grass_transform;
+    uniform mat3 rock_transform;
+    uniform mat3 snow_transform;
+    uniform float rock_height;
+    uniform float snow_height;
+    uniform float height_blend;
+    uniform float rock_slope;
+    uniform float slope_blend;
+#endif
+`;
+
+// baked ambient occlusion of the height map darkens only the light coming from the sky
+const occlusion_fragment = `
+#ifdef USE_OCCLUSION
+    reflectedLight.indirectDiffuse *= mix( 1.0, v_occlusion, occlusion_strength );
+#endif
+`;
+
+// biome colors are the classification colors of the legend, so they are not tinted
+// by the material color
+const biome_fragment = `
+#ifdef USE_BIOME
+    diffuseColor.rgb = vec3( 1.0 );
+#endif
+`;
+
+// triplanar mapping replaces sampling of the single material map
+const triplanar_map_fragment = `
+#if defined( USE_MAP ) && defined( USE_TRIPLANAR )
+    diffuseColor *= terrain_texture( map, map_transform );
+#else
+    #include <map_fragment>
+#endif
+`;
+
+// grass in lowlands changes to rock above rock height and on steep slopes,
+// snow covers everything above snow height except the steepest cliffs
+const splat_fragment = `
+#ifdef USE_SPLAT
+    vec3 grass = terrain_texture( grass_map, grass_transform ).rgb;
+    vec3 rock = terrain_texture( rock_map, rock_transform ).rgb;
+    vec3 snow = terrain_texture( snow_map, snow_transform ).rgb;
+
+    float splat_height = v_terrain_position.z;
+    float splat_slope = degrees( acos( clamp( abs( normalize( v_terrain_normal ).z ), 0.0, 1.0 ) ) );
+    float half_height = max( height_blend, 0.001 )*0.5;
+    float half_slope = max( slope_blend, 0.001 )*0.5;
+    float rock_weight = max( smoothstep( rock_height - half_height, rock_height + half_height, splat_height ),
+                             smoothstep( rock_slope - half_slope, rock_slope + half_slope, splat_slope ) );
+    float snow_weight = smoothstep( snow_height - half_height, snow_height + half_height, splat_height )*
+                        ( 1.0 - smoothstep( rock_slope - half_slope, rock_slope + half_slope, splat_slope ) );
+
+    diffuseColor.rgb *= mix( mix( grass, rock, rock_weight ), snow, snow_weight );
+#endif
+`;
+
+/**
+ * Creates uniforms of the splat material, texture transforms are matrices of the textures
+ * themselves, so tiling changes of the textures are used without copying
+ * @param { Object } textures: loaded textures ( grass, rock, snow )
+ * @param { Object } params: values of splat_params
+ * @returns uniforms shared with material shader
+ */
+export function create_splat_uniforms( textures, params ) {
+    const uniforms = {
+        grass_map: { value: textures.grass },
+        rock_map: { value: textures.rock },
+        snow_map: { value: textures.snow },
+        grass_transform: { value: textures.grass.matrix },
+        rock_transform: { value: textures.rock.matrix },
+        snow_transform: { value: textures.snow.matrix },
+        map_transform: { value: new THREE.Matrix3() },
+        triplanar_sharpness: { value: 4 },
+        occlusion_strength: { value: 1 }
+    };
+
+    splat_params.forEach( function( param ) {
+        uniforms[param.key] = { value: params[param.key] };
+    } );
+
+    return uniforms;
+}
+
+/**
+ * Adds texture splatting, triplanar mapping, untinted biome colors and baked ambient occlusion
+ * ( vertex attribute occlusion ) to the terrain material, they are compiled only when USE_SPLAT,
+ * USE_TRIPLANAR, USE_BIOME or USE_OCCLUSION is in material defines, so the material can be
+ * switched by changing defines
+ * @param { THREE.Material } material: terrain material ( Phong or standard )
+ * @param { Object } uniforms: uniforms created by create_splat_uniforms
+ */
+export function add_splatting( material, uniforms ) {
+    material.defines = material.defines || {};
+
+    material.onBeforeCompile = function( shader ) {
+        Object.assign( shader.uniforms, uniforms );
+
+        shader.vertexShader = shader.vertexShader
+            .replace( '#include <common>', '#include <common>\n' + terrain_vertex_pars )
+            .replace( '#include <begin_vertex>', '#include <begin_vertex>\n' + terrain_vertex );
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace( '#include <common>', '#include <common>\n' + terrain_fragment_pars )
+            .replace( '#include <map_fragment>', biome_fragment + triplanar_map_fragment + splat_fragment )
+            .replace( '#include <aomap_fragment>', '#include <aomap_fragment>\n' + occlusion_fragment );
+    };
+}
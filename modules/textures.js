@@ -0,0 +1,361 @@
+import * as THREE from "./three.module.js"
+
+// TEXTURE MANIFEST =========================================================================
+/**
+ * Texture assets ( key, gui name, file, default number of repeats across the surface, surface
+ * it is offered for and color of the fallback texture used when the file can not be loaded ),
+ * terrain textures may also list files of their material maps ( normal, roughness and ao ),
+ * maps without file are derived from the albedo image
+ */
+export const texture_manifest = [
+    { key: 'dirt', name: 'Dirt', file: 'textures/dirt.jpg', repeat: 25, surface: 'terrain', fallback: 0x6b4f32 },
+    { key: 'rock', name: 'Rock', file: 'textures/rock.jpg', repeat: 25, surface: 'terrain', fallback: 0x7d7a75 },
+    { key: 'grass', name: 'Grass', file: 'textures/grass.jpg', repeat: 25, surface: 'terrain', fallback: 0x4d7a2e },
+    { key: 'snow', name: 'Snow', file: 'textures/snow.jpg', repeat: 25, surface: 'terrain', fallback: 0xe8eef2 },
+    { key: 'water', name: 'Water', file: 'textures/water.png', repeat: 10, surface: 'water', fallback: 0x2b6f9e }
+];
+
+/**
+ * Sets wrapping and repeating of the texture
+ * @param { THREE.Texture } texture: loaded texture
+ * @param { number } repeat: number of repeats across the surface
+ */
+function setup_texture( texture, repeat ) {
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    apply_tiling( texture, default_tiling( repeat ) );
+}
+
+// TEXTURE TILING ===========================================================================
+/**
+ * Adjustable tiling of every texture ( key, gui name and slider range ), offsets are
+ * in fractions of one repeat and rotation is in degrees
+ */
+export const tiling_params = [
+    { key: 'repeat', name: 'Repeat', min: 1, max: 100, step: 0.5 },
+    { key: 'offset_u', name: 'Offset U', min: 0, max: 1, step: 0.01 },
+    { key: 'offset_v', name: 'Offset V', min: 0, max: 1, step: 0.01 },
+    { key: 'rotation', name: 'Rotation', min: 0, max: 360, step: 1 }
+];
+
+/**
+ * Creates tiling without offset and rotation
+ * @param { number } repeat: number of repeats across the surface
+ * @returns tiling { repeat, offset_u, offset_v, rotation }
+ */
+export function default_tiling( repeat ) {
+    return { repeat: repeat, offset_u: 0, offset_v: 0, rotation: 0 };
+}
+
+/**
+ * Sets repeat, offset and rotation ( around the center of the surface ) of the texture,
+ * its matrix is updated at once because shaders sampling the texture outside
+ * of the material map use the matrix directly
+ * @param { THREE.Texture } texture: texture to be set
+ * @param { Object } tiling: tiling { repeat, offset_u, offset_v, rotation }
+ */
+export function apply_tiling( texture, tiling ) {
+    texture.repeat.set( tiling.repeat, tiling.repeat );
+    texture.offset.set( tiling.offset_u, tiling.offset_v );
+    texture.center.set( 0.5, 0.5 );
+    texture.rotation = THREE.MathUtils.degToRad( tiling.rotation );
+    texture.updateMatrix();
+}
+
+/**
+ * Writes tilings to compact text ( e.g. "dirt:25:0:0:0,rock:10:0.5:0:45" )
+ * @param { Object } tilings: tilings by texture keys
+ * @returns text representation of the tilings
+ */
+export function tiling_to_string( tilings ) {
+    return Object.keys( tilings ).map( function( key ) {
+        const tiling = tilings[key];
+        return [ key, tiling.repeat, tiling.offset_u, tiling.offset_v, tiling.rotation ].join( ':' );
+    } ).join( ',' );
+}
+
+/**
+ * Reads tilings from text written by tiling_to_string, values are clamped to slider ranges
+ * @param { string } text: text representation of the tilings
+ * @returns object with tilings by texture keys, invalid parts are left out
+ */
+export function tiling_from_string( text ) {
+    const tilings = {};
+    text.split( ',' ).forEach( function( part ) {
+        const values = part.split( ':' );
+        const numbers = values.slice( 1 ).map( parseFloat );
+        if ( values.length != tiling_params.length + 1 || !numbers.every( Number.isFinite ) )
+            return;
+
+        const tiling = {};
+        tiling_params.forEach( function( param, index ) {
+            tiling[param.key] = THREE.MathUtils.clamp( numbers[index], param.min, param.max );
+        } );
+        tilings[values[0]] = tiling;
+    } );
+
+    return tilings;
+}
+
+/**
+ * Draws fallback image, checkerboard of two shades of the color with random speckles,
+ * so missing texture is clearly visible but still usable
+ * @param { number } color: base color of the image
+ * @returns canvas with the image
+ */
+export function fallback_image( color ) {
+    const size = 256;
+    const canvas = document.createElement( 'canvas' );
+    canvas.width = canvas.height = size;
+    const context = canvas.getContext( '2d' );
+
+    const light = new THREE.Color( color );
+    const dark = light.clone().multiplyScalar( 0.75 );
+    for ( var i = 0; i < 4; i++ ) {
+        for ( var j = 0; j < 4; j++ ) {
+            context.fillStyle = '#' + ( ( i + j )%2 == 0 ? light : dark ).getHexString();
+            context.fillRect( j*size/4, i*size/4, size/4, size/4 );
+        }
+    }
+
+    context.fillStyle = 'rgba( 0, 0, 0, 0.15 )';
+    for ( var k = 0; k < 600; k++ )
+        context.fillRect( Math.random()*size, Math.random()*size, 2, 2 );
+
+    return canvas;
+}
+
+// keys of the material map files a manifest entry can list
+const map_files = [ 'normal', 'roughness', 'ao' ];
+
+/**
+ * Loads all textures of the manifest, texture whose file can not be loaded gets fallback
+ * image instead, the texture object stays the same so materials using it are not changed,
+ * maps of physically based material are filled once the texture and its map files
+ * are loaded, maps whose file is not listed or can not be loaded are derived
+ * @param { Array } manifest: list of texture assets
+ * @param { function } on_error: callback receiving path of the file which could not be loaded
+ * @returns object with textures and material maps { normal, orm } by texture keys
+ */
+export function load_textures( manifest, on_error ) {
+    const loader = new THREE.TextureLoader();
+    const image_loader = new THREE.ImageLoader();
+    const textures = {};
+    const maps = {};
+
+    manifest.forEach( function( entry ) {
+        const material_maps = create_material_maps( entry.repeat );
+        var texture;
+        const albedo = new Promise( function( resolve ) {
+            texture = loader.load( entry.file,
+                function() {
+                    resolve( texture.image );
+                },
+                undefined,
+                function() {
+                    texture.image = fallback_image( entry.fallback );
+                    texture.needsUpdate = true;
+                    on_error( entry.file );
+                    resolve( texture.image );
+                } );
+        } );
+
+        // missing map file resolves to null, so the map is derived instead
+        const files = map_files.map( function( key ) {
+            if ( entry[key] === undefined )
+                return Promise.resolve( null );
+            return new Promise( function( resolve ) {
+                image_loader.load( entry[key], resolve, undefined, function() {
+                    on_error( entry[key] );
+                    resolve( null );
+                } );
+            } );
+        } );
+
+        Promise.all( [ albedo ].concat( files ) ).then( function( images ) {
+            derive_material_maps( material_maps, images[0], { normal: images[1], roughness: images[2], ao: images[3] } );
+        } );
+
+        setup_texture( texture, entry.repeat );
+        textures[entry.key] = texture;
+        maps[entry.key] = material_maps;
+    } );
+
+    return { textures: textures, maps: maps };
+}
+
+/**
+ * Loads texture from image file chosen by user
+ * @param { File } file: image file
+ * @param { number } repeat: number of repeats across the surface
+ * @returns Promise resolving to the texture, it is rejected when the file is not an image
+ */
+export function load_user_texture( file, repeat ) {
+    const url = URL.createObjectURL( file );
+
+    return new Promise( function( resolve, reject ) {
+        new THREE.TextureLoader().load( url,
+            function( texture ) {
+                URL.revokeObjectURL( url );
+                setup_texture( texture, repeat );
+                resolve( texture );
+            },
+            undefined,
+            function() {
+                URL.revokeObjectURL( url );
+                reject( new Error( 'file ' + file.name + ' is not an image' ) );
+            } );
+    } );
+}
+
+// MATERIAL MAPS ============================================================================
+// resolution of derived maps and steepness of the derived normals
+const map_size = 512;
+const normal_strength = 3;
+
+/**
+ * Creates canvas filled by one color
+ * @param { string } color: css color
+ * @returns 1x1 canvas
+ */
+function flat_image( color ) {
+    const canvas = document.createElement( 'canvas' );
+    canvas.width = canvas.height = 1;
+    const context = canvas.getContext( '2d' );
+    context.fillStyle = color;
+    context.fillRect( 0, 0, 1, 1 );
+
+    return canvas;
+}
+
+/**
+ * Creates normal map and occlusion/roughness/metalness map ( glTF channel packing: ambient
+ * occlusion in red, roughness in green and metalness in blue ) of physically based material,
+ * they are flat until derive_material_maps fills them
+ * @param { number } repeat: number of repeats across the surface
+ * @returns object with normal and orm textures
+ */
+export function create_material_maps( repeat ) {
+    const maps = {
+        normal: new THREE.Texture( flat_image( 'rgb( 128, 128, 255 )' ) ),
+        orm: new THREE.Texture( flat_image( 'rgb( 255, 204, 0 )' ) )
+    };
+
+    for ( const key in maps ) {
+        setup_texture( maps[key], repeat );
+        maps[key].needsUpdate = true;
+    }
+
+    return maps;
+}
+
+/**
+ * Fills material maps from their loaded images and derives the missing ones from albedo
+ * image, its luminance is taken as height of the surface detail, normals follow the height
+ * gradient, dark cavities below their surroundings are occluded and lower parts are rougher,
+ * the image is treated as tileable, roughness is read from green channel of its image and
+ * ambient occlusion from red one, so both can be grayscale
+ * @param { Object } maps: material maps created by create_material_maps
+ * @param { CanvasImageSource } image: albedo image
+ * @param { Object } files: optional loaded images { normal, roughness, ao }, null when missing
+ */
+export function derive_material_maps( maps, image, files ) {
+    const loaded = Object.assign( { normal: null, roughness: null, ao: null }, files );
+    if ( loaded.normal !== null ) {
+        maps.normal.image = loaded.normal;
+        maps.normal.needsUpdate = true;
+    }
+
+    const size = map_size;
+    const canvas = document.createElement( 'canvas' );
+    canvas.width = canvas.height = size;
+    const context = canvas.getContext( '2d' );
+
+    /**
+     * Reads pixels of the image scaled to the size of the maps
+     * @param { CanvasImageSource } source: image to be read
+     * @returns rgba pixels or null without image
+     */
+    const read = function( source ) {
+        if ( source === null )
+            return null;
+        context.clearRect( 0, 0, size, size );
+        context.drawImage( source, 0, 0, size, size );
+        return context.getImageData( 0, 0, size, size ).data;
+    };
+
+    const roughness = read( loaded.roughness );
+    const occlusion = read( loaded.ao );
+    const albedo = read( image );
+
+    const heights = new Float32Array( size*size );
+    for ( var i = 0; i < heights.length; i++ )
+        heights[i] = ( 0.2126*albedo[i*4] + 0.7152*albedo[i*4 + 1] + 0.0722*albedo[i*4 + 2] )/255;
+
+    // local average height ( separable box blur with wrapping ), only derived occlusion needs it
+    const radius = 4;
+    const rows = new Float32Array( size*size );
+    const average = new Float32Array( size*size );
+    if ( occlusion === null ) {
+        for ( var y = 0; y < size; y++ ) {
+            for ( var x = 0; x < size; x++ ) {
+                var sum = 0;
+                for ( var k = -radius; k <= radius; k++ )
+                    sum += heights[y*size + ( x + k + size )%size];
+                rows[y*size + x] = sum/( 2*radius + 1 );
+            }
+        }
+        for ( var y = 0; y < size; y++ ) {
+            for ( var x = 0; x < size; x++ ) {
+                var sum = 0;
+                for ( var k = -radius; k <= radius; k++ )
+                    sum += rows[( ( y + k + size )%size )*size + x];
+                average[y*size + x] = sum/( 2*radius + 1 );
+            }
+        }
+    }
+
+    const normal = context.createImageData( size, size );
+    const orm = context.createImageData( size, size );
+    for ( var y = 0; y < size; y++ ) {
+        for ( var x = 0; x < size; x++ ) {
+            const index = y*size + x;
+
+            // image rows grow downwards, texture v coordinate grows upwards
+            const dx = heights[y*size + ( x + 1 )%size] - heights[y*size + ( x - 1 + size )%size];
+            const dy = heights[( ( y + 1 )%size )*size + x] - heights[( ( y - 1 + size )%size )*size + x];
+            const nx = -dx*normal_strength;
+            const ny = dy*normal_strength;
+            const length = Math.sqrt( nx*nx + ny*ny + 1 );
+            normal.data[index*4] = ( nx/length*0.5 + 0.5 )*255;
+            normal.data[index*4 + 1] = ( ny/length*0.5 + 0.5 )*255;
+            normal.data[index*4 + 2] = ( 1/length*0.5 + 0.5 )*255;
+            normal.data[index*4 + 3] = 255;
+
+            const cavity = Math.max( average[index] - heights[index], 0 );
+            orm.data[index*4] = ( occlusion !== null ) ? occlusion[index*4] : Math.max( 1 - cavity*4, 0.4 )*255;
+            orm.data[index*4 + 1] = ( roughness !== null ) ? roughness[index*4 + 1]
+                                                           : ( 0.65 + 0.35*( 1 - heights[index] ) )*255;
+            orm.data[index*4 + 2] = 0;
+            orm.data[index*4 + 3] = 255;
+        }
+    }
+
+    /**
+     * Puts image data into new canvas
+     * @param { ImageData } data: pixels of the map
+     * @returns canvas with the map
+     */
+    const to_canvas = function( data ) {
+        const map = document.createElement( 'canvas' );
+        map.width = map.height = size;
+        map.getContext( '2d' ).putImageData( data, 0, 0 );
+        return map;
+    };
+
+    if ( loaded.normal === null ) {
+        maps.normal.image = to_canvas( normal );
+        maps.normal.needsUpdate = true;
+    }
+    maps.orm.image = to_canvas( orm );
+    maps.orm.needsUpdate = true;
+}
@@ -0,0 +1,152 @@
+import * as THREE from "./three.module.js"
+
+// WATER MATERIAL ===========================================================================
+/**
+ * Adjustable parameters of the water surface ( key, gui name, slider range and default value ),
+ * wave scale is the length of the longest wave and foam width is water depth covered by foam,
+ * both in terrain units, direction is in degrees
+ */
+export const water_params = [
+    { key: 'wave_scale', name: 'Wave Scale', min: 1, max: 40, step: 0.5, value: 6 },
+    { key: 'wave_speed', name: 'Wave Speed', min: 0, max: 3, step: 0.05, value: 1 },
+    { key: 'wave_direction', name: 'Wave Direction', min: 0, max: 360, step: 1, value: 45 },
+    { key: 'wave_height', name: 'Wave Height', min: 0, max: 1, step: 0.01, value: 0.35 },
+    { key: 'foam_width', name: 'Foam Width', min: 0, max: 5, step: 0.05, value: 0 }
+];
+
+// vertex shader part passing horizontal world position, waves do not depend on the water
+// mesh placement, so they continue seamlessly when the mesh is moved or scaled
+const water_vertex_pars = `
+varying vec2 v_water_position;
+`;
+
+const water_vertex = `
+v_water_position = ( modelMatrix*vec4( transformed, 1.0 ) ).xz;
+`;
+
+const water_fragment_pars = `
+varying vec2 v_water_position;
+
+uniform float water_time;
+uniform float wave_scale;
+uniform float wave_speed;
+uniform float wave_direction;
+uniform float wave_height;
+uniform float foam_width;
+uniform sampler2D ripple_map;
+uniform vec3 sky_color;
+uniform sampler2D depth_map;
+uniform vec2 depth_resolution;
+uniform float camera_near;
+uniform float camera_far;
+
+// gradient of four sine waves spread around the wave direction, every next wave is shorter
+// and lower, waves move with speed of deep water waves ( angular frequency sqrt( g*k ) )
+vec2 water_gradient( vec2 position ) {
+    vec2 gradient = vec2( 0.0 );
+    float frequency = 6.2831853/wave_scale;
+    float amplitude = 1.0;
+
+    for ( int k = 0; k < 4; k++ ) {
+        float angle = radians( wave_direction ) + ( float( k ) - 1.5 )*0.45;
+        vec2 direction = vec2( cos( angle ), sin( angle ) );
+        float phase = dot( direction, position )*frequency - water_time*wave_speed*sqrt( 9.81*frequency );
+        gradient += direction*amplitude*cos( phase );
+
+        frequency *= 1.73;
+        amplitude *= 0.6;
+    }
+
+    return gradient;
+}
+
+// gradient of ripples from the normal map, it is sampled twice with different scales, moving
+// along and across the wave direction, so the ripples do not repeat visibly and do not stand still
+vec2 ripple_gradient( vec2 position ) {
+    float angle = radians( wave_direction );
+    vec2 along = vec2( cos( angle ), sin( angle ) );
+    vec2 across = vec2( -along.y, along.x );
+    float shift = water_time*wave_speed;
+
+    vec3 first = texture2D( ripple_map, position/wave_scale - along*shift*0.08 ).xyz*2.0 - 1.0;
+    vec3 second = texture2D( ripple_map, position/( 0.37*wave_scale ) - ( along*0.6 + across*0.8 )*shift*0.13 ).xyz*2.0 - 1.0;
+
+    return -0.5*( first.xy/max( first.z, 0.1 ) + second.xy/max( second.z, 0.1 ) );
+}
+`;
+
+// wave normals with ripples of the normal map replace the flat normal before lighting,
+// so the sun is reflected by the waves
+const water_normal = `
+vec2 water_slope = ( water_gradient( v_water_position ) + 0.5*ripple_gradient( v_water_position ) )*wave_height;
+normal = normalize( ( viewMatrix*vec4( -water_slope.x, 1.0, -water_slope.y, 0.0 ) ).xyz )*faceDirection;
+`;
+
+// sky reflection grows towards grazing angles ( Schlick's Fresnel approximation ), foam
+// covers water shallower than foam width, the depth is difference between the terrain depth
+// rendered before the water and the depth of the water itself
+const water_fragment = `
+float water_facing = clamp( dot( normal, normalize( vViewPosition ) ), 0.0, 1.0 );
+float fresnel = 0.02 + 0.98*pow( 1.0 - water_facing, 5.0 );
+outgoingLight = mix( outgoingLight, sky_color, fresnel );
+diffuseColor.a = min( diffuseColor.a*( 1.0 + fresnel ), 1.0 );
+
+if ( foam_width > 0.0 ) {
+    float terrain_depth = perspectiveDepthToViewZ( texture2D( depth_map, gl_FragCoord.xy/depth_resolution ).x,
+                                                   camera_near, camera_far );
+    float water_depth = perspectiveDepthToViewZ( gl_FragCoord.z, camera_near, camera_far );
+    float shallow = ( water_depth - terrain_depth )/foam_width;
+
+    // foam lines run towards the shore
+    float foam = ( 1.0 - smoothstep( 0.0, 1.0, shallow ) )*( 0.6 + 0.4*sin( shallow*12.0 - water_time*2.0 ) );
+    outgoingLight = mix( outgoingLight, vec3( 1.0 ), foam );
+    diffuseColor.a = mix( diffuseColor.a, sqrt( diffuseColor.a ), foam );
+}
+`;
+
+/**
+ * Creates uniforms of the water material
+ * @param { Object } params: values of water_params
+ * @param { THREE.Color } sky_color: color reflected by the water
+ * @param { THREE.Camera } camera: camera whose depth range is used to compute water depth
+ * @param { THREE.Texture } ripple_map: tileable normal map of the ripples ( repeat wrapping )
+ * @returns uniforms shared with material shader
+ */
+export function create_water_uniforms( params, sky_color, camera, ripple_map ) {
+    const uniforms = {
+        water_time: { value: 0 },
+        ripple_map: { value: ripple_map },
+        sky_color: { value: sky_color },
+        depth_map: { value: null },
+        depth_resolution: { value: new THREE.Vector2( 1, 1 ) },
+        camera_near: { value: camera.near },
+        camera_far: { value: camera.far }
+    };
+
+    water_params.forEach( function( param ) {
+        uniforms[param.key] = { value: params[param.key] };
+    } );
+
+    return uniforms;
+}
+
+/**
+ * Adds animated waves with scrolling normal mapped ripples, sky reflection and shoreline
+ * foam to the water material, depth map has to contain depth of the scene without water
+ * @param { THREE.Material } material: water material ( Phong )
+ * @param { Object } uniforms: uniforms created by create_water_uniforms
+ */
+export function add_waves( material, uniforms ) {
+    material.onBeforeCompile = function( shader ) {
+        Object.assign( shader.uniforms, uniforms );
+
+        shader.vertexShader = shader.vertexShader
+            .replace( '#include <common>', '#include <common>\n' + water_vertex_pars )
+            .replace( '#include <begin_vertex>', '#include <begin_vertex>\n' + water_vertex );
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace( '#include <common>', '#include <common>\n' + water_fragment_pars )
+            .replace( '#include <normal_fragment_maps>', '#include <normal_fragment_maps>\n' + water_normal )
+            .replace( '#include <output_fragment>', water_fragment + '#include <output_fragment>' );
+    };
+}